@@ -0,0 +1,85 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseTime, readNdjson } = require('./moose_util');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const OUTCOMES = ['ok', 'error', 'cancelled'];
+
+function normalizeAuditFilters(query = {}) {
+  const limit = query.limit != null && query.limit !== '' ? Number(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const outcome = query.outcome ? String(query.outcome) : null;
+  if (outcome && !OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+  const list = (value) =>
+    value
+      ? String(value)
+          .split(',')
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [];
+  return {
+    actions: list(query.action),
+    player: query.player ? String(query.player) : null,
+    serverName: query.serverName ? String(query.serverName) : null,
+    rosterId: query.rosterId ? String(query.rosterId) : null,
+    user: query.user ? String(query.user) : null,
+    outcome,
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until'),
+    limit,
+  };
+}
+
+// An action filter of "player" matches "player.add", "player.delete" and so on.
+function matchesAction(action, actions) {
+  if (!actions.length) return true;
+  return actions.some((wanted) => action === wanted || String(action).startsWith(`${wanted}.`));
+}
+
+function matchesFilters(entry, filters) {
+  if (!matchesAction(entry.action, filters.actions)) return false;
+  if (filters.player) {
+    const keys = [entry.playerId, entry.steamId].filter(Boolean).map(String);
+    const steamIds = (entry.steamIds || []).map(String);
+    if (!keys.includes(filters.player) && !steamIds.includes(filters.player)) return false;
+  }
+  if (filters.serverName && entry.serverName !== filters.serverName) return false;
+  if (filters.rosterId && entry.rosterId !== filters.rosterId) return false;
+  if (filters.user && entry.requester?.user !== filters.user) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.since != null && entry.at < filters.since) return false;
+  if (filters.until != null && entry.at > filters.until) return false;
+  return true;
+}
+
+// Append-only NDJSON log; one line per roster change or refresh.
+function createAuditLog(options = {}) {
+  const { file, onRecord } = options;
+
+  const record = (entry) => {
+    const item = { id: crypto.randomUUID(), at: Date.now(), outcome: 'ok', ...entry };
+    try {
+      fs.appendFileSync(file, `${JSON.stringify(item)}\n`);
+    } catch (err) {
+      console.warn(`[audit] could not write entry: ${err.message}`);
+    }
+    if (typeof onRecord === 'function') onRecord(item);
+    return item;
+  };
+
+  // Newest first.
+  const query = (filters = normalizeAuditFilters()) => {
+    const matches = readNdjson(file).filter((entry) => matchesFilters(entry, filters));
+    return { total: matches.length, entries: matches.reverse().slice(0, filters.limit) };
+  };
+
+  return { record, query };
+}
+
+module.exports = {
+  createAuditLog,
+  normalizeAuditFilters,
+};
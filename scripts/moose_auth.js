@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'moose_admin';
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function hashToken(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '')
+    .split(';')
+    .forEach((part) => {
+      const index = part.indexOf('=');
+      if (index < 0) return;
+      const name = part.slice(0, index).trim();
+      if (name) cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    });
+  return cookies;
+}
+
+function getBearerToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Optional admin mode: with no token configured every request is treated as admin.
+function createAdminAuth(options = {}) {
+  const { token = null, sessionTtlMs = 12 * 60 * 60 * 1000 } = options;
+  const tokenHash = token ? hashToken(token) : null;
+  const sessions = new Map();
+
+  const matchesToken = (value) => !!value && crypto.timingSafeEqual(hashToken(value), tokenHash);
+
+  const getSession = (req) => {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const expiresAt = id ? sessions.get(id) : null;
+    if (!expiresAt) return null;
+    if (expiresAt <= Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return id;
+  };
+
+  const isAdmin = (req) => !tokenHash || matchesToken(getBearerToken(req)) || !!getSession(req);
+
+  const describe = (req) => ({ adminRequired: !!tokenHash, isAdmin: isAdmin(req) });
+
+  const login = (req, res) => {
+    if (!tokenHash) return res.json(describe(req));
+    if (!matchesToken(req.body?.token)) return res.status(401).json({ error: 'Invalid admin token' });
+    const id = crypto.randomBytes(24).toString('hex');
+    sessions.set(id, Date.now() + sessionTtlMs);
+    res.cookie(SESSION_COOKIE, id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: sessionTtlMs,
+      path: '/',
+    });
+    res.json({ adminRequired: true, isAdmin: true });
+  };
+
+  const logout = (req, res) => {
+    const id = getSession(req);
+    if (id) sessions.delete(id);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ adminRequired: !!tokenHash, isAdmin: !tokenHash });
+  };
+
+  // Reads stay public; anything that writes or launches a scrape needs the token or a session.
+  const requireAdminForWrites = (req, res, next) => {
+    if (READ_METHODS.has(req.method) || isAdmin(req)) return next();
+    res.status(401).json({ error: 'Admin login required' });
+  };
+
+  return { enabled: !!tokenHash, isAdmin, describe, login, logout, requireAdminForWrites };
+}
+
+module.exports = {
+  createAdminAuth,
+};
@@ -5,9 +5,22 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./moose_config');
 
-const MOOSE_URL = 'https://beta.moose.gg/stats';
-const SERVER_OPTIONS = ['US Monthly (Premium)', 'US Biweekly (Premium)'];
+const config = getConfig();
+const MOOSE_URL = config.mooseUrl;
+const DEFAULT_SERVER = config.defaultServer;
+// Server names discovered by the web app; any other name is passed through and matched on the Moose page.
+const SERVERS_FILE = path.join(config.dataDir, 'servers.json');
+
+function loadKnownServers() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SERVERS_FILE, 'utf8'));
+    return Array.isArray(parsed?.servers) ? parsed.servers : [];
+  } catch {
+    return [];
+  }
+}
 
 function resolveServerName() {
   const args = process.argv.slice(2);
@@ -19,12 +32,11 @@ function resolveServerName() {
     candidate = process.env.MOOSE_SERVER;
   }
   if (candidate) {
-    const match = SERVER_OPTIONS.find(
-      (name) => name.toLowerCase() === String(candidate).trim().toLowerCase()
-    );
-    if (match) return match;
+    const trimmed = String(candidate).trim();
+    const match = loadKnownServers().find((name) => name.toLowerCase() === trimmed.toLowerCase());
+    return match || trimmed;
   }
-  return SERVER_OPTIONS[0];
+  return DEFAULT_SERVER;
 }
 
 const SELECTED_SERVER = resolveServerName();
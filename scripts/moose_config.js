@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+const DEFAULTS = {
+  port: 3000,
+  host: '0.0.0.0',
+  dataDir: ROOT_DIR,
+  mooseUrl: 'https://beta.moose.gg/stats',
+  defaultServer: 'US Monthly (Premium)',
+  minComparePlayers: 2,
+  maxPlayers: 10,
+  maxHistorySnapshots: 500,
+  // When set, writes and refreshes need this token; everything else stays public and read-only.
+  adminToken: null,
+  adminSessionHours: 12,
+  scraper: {
+    headless: true,
+    timeoutMs: 10000,
+    retryAttempts: 3,
+    retryBackoffsMs: [250, 500, 750],
+  },
+};
+
+// Environment variables win over config.json, which wins over the defaults above.
+const ENV_OVERRIDES = {
+  PORT: ['port', Number],
+  HOST: ['host', String],
+  DATA_DIR: ['dataDir', String],
+  MOOSE_URL: ['mooseUrl', String],
+  MOOSE_DEFAULT_SERVER: ['defaultServer', String],
+  MIN_COMPARE_PLAYERS: ['minComparePlayers', Number],
+  MAX_PLAYERS: ['maxPlayers', Number],
+  MAX_HISTORY_SNAPSHOTS: ['maxHistorySnapshots', Number],
+  ADMIN_TOKEN: ['adminToken', String],
+  ADMIN_SESSION_HOURS: ['adminSessionHours', Number],
+  SCRAPER_HEADLESS: ['scraper.headless', (value) => !/^(0|false|no)$/i.test(value)],
+  SCRAPER_TIMEOUT_MS: ['scraper.timeoutMs', Number],
+  SCRAPER_RETRY_ATTEMPTS: ['scraper.retryAttempts', Number],
+  SCRAPER_RETRY_BACKOFFS_MS: ['scraper.retryBackoffsMs', (value) => value.split(',').map((part) => Number(part))],
+};
+
+let cachedConfig = null;
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object');
+    return parsed;
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    return node[part];
+  }, target);
+  parent[last] = value;
+}
+
+function requireInteger(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Invalid config: ${name} must be an integer between ${min} and ${max}`);
+  }
+}
+
+function requireText(name, value) {
+  if (typeof value !== 'string' || !value.trim()) throw new Error(`Invalid config: ${name} must be a non-empty string`);
+}
+
+function validateConfig(config) {
+  requireInteger('port', config.port, 1, 65535);
+  requireText('host', config.host);
+  requireText('dataDir', config.dataDir);
+  requireText('mooseUrl', config.mooseUrl);
+  try {
+    new URL(config.mooseUrl);
+  } catch {
+    throw new Error('Invalid config: mooseUrl must be an absolute URL');
+  }
+  requireText('defaultServer', config.defaultServer);
+  requireInteger('maxPlayers', config.maxPlayers, 1, 100);
+  requireInteger('minComparePlayers', config.minComparePlayers, 1, config.maxPlayers);
+  requireInteger('maxHistorySnapshots', config.maxHistorySnapshots, 1, 100000);
+  if (config.adminToken != null) {
+    if (typeof config.adminToken !== 'string' || config.adminToken.length < 8) {
+      throw new Error('Invalid config: adminToken must be a string of at least 8 characters');
+    }
+  }
+  requireInteger('adminSessionHours', config.adminSessionHours, 1, 24 * 30);
+  if (typeof config.scraper.headless !== 'boolean') {
+    throw new Error('Invalid config: scraper.headless must be a boolean');
+  }
+  requireInteger('scraper.timeoutMs', config.scraper.timeoutMs, 1000, 120000);
+  requireInteger('scraper.retryAttempts', config.scraper.retryAttempts, 1, 10);
+  const backoffs = config.scraper.retryBackoffsMs;
+  if (!Array.isArray(backoffs) || !backoffs.length || backoffs.some((ms) => !Number.isInteger(ms) || ms < 0)) {
+    throw new Error('Invalid config: scraper.retryBackoffsMs must be a list of non-negative integers');
+  }
+}
+
+function loadConfig(options = {}) {
+  const { env = process.env, file = env.MOOSE_CONFIG || DEFAULT_CONFIG_FILE } = options;
+  const fromFile = readConfigFile(path.resolve(file));
+  const config = {
+    ...DEFAULTS,
+    ...fromFile,
+    scraper: { ...DEFAULTS.scraper, ...(fromFile.scraper || {}) },
+  };
+  Object.entries(ENV_OVERRIDES).forEach(([name, [key, parse]]) => {
+    if (env[name] == null || env[name] === '') return;
+    setPath(config, key, parse(String(env[name]).trim()));
+  });
+  validateConfig(config);
+  config.dataDir = path.resolve(ROOT_DIR, config.dataDir);
+  return config;
+}
+
+function getConfig() {
+  if (!cachedConfig) cachedConfig = loadConfig();
+  return cachedConfig;
+}
+
+// The subset the UI may read; paths, listen settings and the admin token stay server-side.
+function describeConfig(config = getConfig()) {
+  return {
+    mooseUrl: config.mooseUrl,
+    defaultServer: config.defaultServer,
+    minComparePlayers: config.minComparePlayers,
+    maxPlayers: config.maxPlayers,
+    maxHistorySnapshots: config.maxHistorySnapshots,
+    adminRequired: !!config.adminToken,
+    scraper: { timeoutMs: config.scraper.timeoutMs, retryAttempts: config.scraper.retryAttempts },
+  };
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  describeConfig,
+  DEFAULTS,
+};
@@ -0,0 +1,69 @@
+const { applyDerivedMetrics } = require('./moose_derived');
+const { parseTime } = require('./moose_util');
+
+function parseSince(value) {
+  return parseTime(value, 'since');
+}
+
+// Picks each player's reference snapshot within one wipe. Without `since` it is the snapshot before their latest
+// one (the previous refresh); with `since` it is the last snapshot at or before that time, or the wipe's first
+// snapshot when `since` predates it.
+function findBaselines(snapshots, keys, options = {}) {
+  const { since = null, wipeId = null } = options;
+  const inWipe = (snapshots || []).filter((snapshot) => !wipeId || snapshot.wipeId === wipeId);
+  const baselines = new Map();
+  keys.forEach((key) => {
+    const own = inWipe.filter((snapshot) => snapshot.players?.[key]);
+    let baseline = null;
+    if (since == null) {
+      baseline = own.length > 1 ? own[own.length - 2] : null;
+    } else {
+      baseline = own.filter((snapshot) => snapshot.at <= since).pop() || own[0] || null;
+      // A baseline taken after the player's latest values would compare the snapshot with itself.
+      if (baseline && baseline === own[own.length - 1] && baseline.at > since) baseline = null;
+    }
+    if (baseline) baselines.set(key, { at: baseline.at, tabs: baseline.players[key].tabs || {} });
+  });
+  return baselines;
+}
+
+function roundDelta(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Returns { [tab]: { [statsKey]: { [metric]: change } } }; derived metrics are recomputed on the baseline so their
+// change is consistent with the values shown.
+function buildDeltaTabs(tabs, baselines, derivedMetrics = []) {
+  const baseTabs = {};
+  Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
+    const derived = tabData?.derived || {};
+    const stats = {};
+    baselines.forEach((baseline, key) => {
+      if (baseline.tabs[tabKey]) stats[key] = baseline.tabs[tabKey];
+    });
+    baseTabs[tabKey] = { metrics: (tabData?.metrics || []).filter((metric) => !derived[metric]), stats };
+  });
+  const previous = applyDerivedMetrics(baseTabs, derivedMetrics);
+  const deltas = {};
+  Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
+    deltas[tabKey] = {};
+    Object.entries(tabData?.stats || {}).forEach(([key, values]) => {
+      const before = previous[tabKey]?.stats?.[key];
+      if (!before) return;
+      const changes = {};
+      (tabData.metrics || []).forEach((metric) => {
+        const now = values?.[metric];
+        const then = before[metric];
+        if (typeof now === 'number' && typeof then === 'number') changes[metric] = roundDelta(now - then);
+      });
+      deltas[tabKey][key] = changes;
+    });
+  });
+  return deltas;
+}
+
+module.exports = {
+  parseSince,
+  findBaselines,
+  buildDeltaTabs,
+};
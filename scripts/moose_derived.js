@@ -0,0 +1,257 @@
+const { TAB_DEFS } = require('./moose_scraper');
+
+const MAX_DERIVED_METRICS = 30;
+const MAX_NAME_LENGTH = 40;
+// Names end up in chart labels and dashboard markup, so keep them to plain text.
+const NAME_PATTERN = /^[A-Za-z0-9 %.,:#/()+_-]+$/;
+const MAX_FORMULA_LENGTH = 300;
+const DEFAULT_DECIMALS = 2;
+const FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (value) => Math.abs(value),
+  round: (value) => Math.round(value),
+};
+
+// Built-ins are applied before user formulas, so user formulas may reference them.
+const BUILT_IN_METRICS = [
+  { tab: 'pvp', name: 'Accuracy %', formula: '[Shots Hit] / [Shots Fired] * 100' },
+  { tab: 'pvp', name: 'Deaths excl. Suicides', formula: 'max([PvP Deaths] - [Suicides], 0)' },
+  { tab: 'resources', name: 'Total Ore', formula: '[Stone] + [Metal Ore] + [Sulfur Ore] + [HQM Ore]' },
+  {
+    tab: 'pve',
+    name: 'Animal Kills',
+    formula:
+      '[Bear] + [Polar Bear] + [Boar] + [Wolf] + [Stag] + [Shark] + [Crocodile] + [Tiger] + [Panther] + [Snake]',
+  },
+  {
+    tab: 'building',
+    name: 'Materials per Block',
+    formula: '([Wood Used] + [Stone Used] + [Metal Used] + [HQM Used]) / [Blocks Built]',
+  },
+].map((metric) => ({ ...metric, decimals: DEFAULT_DECIMALS, builtIn: true }));
+
+function tokenize(formula) {
+  const tokens = [];
+  let index = 0;
+  while (index < formula.length) {
+    const rest = formula.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+    const number = rest.match(/^\d+(\.\d+)?/);
+    const ref = rest.match(/^\[([^\]]+)\]/);
+    const word = rest.match(/^[a-z]+/i);
+    if (number) tokens.push({ type: 'num', value: Number(number[0]), length: number[0].length });
+    else if (ref) tokens.push({ type: 'ref', value: ref[1].trim(), length: ref[0].length });
+    else if (word) tokens.push({ type: 'word', value: word[0].toLowerCase(), length: word[0].length });
+    else if ('+-*/(),'.includes(rest[0])) tokens.push({ type: rest[0], length: 1 });
+    else throw new Error(`Unexpected "${rest[0]}" at position ${index + 1}`);
+    index += tokens[tokens.length - 1].length;
+  }
+  return tokens;
+}
+
+// expr := term (("+" | "-") term)* ; term := unary (("*" | "/") unary)* ; unary := "-" unary | primary
+function parse(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const expect = (type) => {
+    const token = tokens[position];
+    if (!token || token.type !== type) throw new Error(`Expected "${type}"`);
+    position += 1;
+    return token;
+  };
+
+  function primary() {
+    const token = tokens[position];
+    if (!token) throw new Error('Unexpected end of formula');
+    position += 1;
+    if (token.type === 'num') return { type: 'num', value: token.value };
+    if (token.type === 'ref') return { type: 'ref', name: token.value };
+    if (token.type === '(') {
+      const inner = expr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'word') {
+      if (!FUNCTIONS[token.value]) {
+        throw new Error(`Unknown function "${token.value}" (wrap metric names in brackets, e.g. [Shots Hit])`);
+      }
+      expect('(');
+      const args = [expr()];
+      while (peek()?.type === ',') {
+        position += 1;
+        args.push(expr());
+      }
+      expect(')');
+      return { type: 'call', fn: token.value, args };
+    }
+    throw new Error(`Unexpected "${token.type}"`);
+  }
+
+  function unary() {
+    if (peek()?.type !== '-') return primary();
+    position += 1;
+    return { type: 'neg', arg: unary() };
+  }
+
+  function term() {
+    let node = unary();
+    while (peek()?.type === '*' || peek()?.type === '/') {
+      const op = tokens[position].type;
+      position += 1;
+      node = { type: 'op', op, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  function expr() {
+    let node = term();
+    while (peek()?.type === '+' || peek()?.type === '-') {
+      const op = tokens[position].type;
+      position += 1;
+      node = { type: 'op', op, left: node, right: term() };
+    }
+    return node;
+  }
+
+  const tree = expr();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].type}"`);
+  return tree;
+}
+
+function collectRefs(node, refs = new Set()) {
+  if (node.type === 'ref') refs.add(node.name);
+  if (node.type === 'op') {
+    collectRefs(node.left, refs);
+    collectRefs(node.right, refs);
+  }
+  if (node.type === 'neg') collectRefs(node.arg, refs);
+  if (node.type === 'call') node.args.forEach((arg) => collectRefs(arg, refs));
+  return refs;
+}
+
+// Missing values and division by zero make the whole result null rather than 0 or Infinity.
+function evaluate(node, stats) {
+  if (node.type === 'num') return node.value;
+  if (node.type === 'ref') {
+    const value = stats?.[node.name];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+  if (node.type === 'neg') {
+    const value = evaluate(node.arg, stats);
+    return value == null ? null : -value;
+  }
+  if (node.type === 'call') {
+    const args = node.args.map((arg) => evaluate(arg, stats));
+    return args.some((value) => value == null) ? null : FUNCTIONS[node.fn](...args);
+  }
+  const left = evaluate(node.left, stats);
+  const right = evaluate(node.right, stats);
+  if (left == null || right == null) return null;
+  if (node.op === '+') return left + right;
+  if (node.op === '-') return left - right;
+  if (node.op === '*') return left * right;
+  return right === 0 ? null : left / right;
+}
+
+function compileFormula(formula) {
+  const text = String(formula || '').trim();
+  if (!text) throw new Error('formula required');
+  if (text.length > MAX_FORMULA_LENGTH) throw new Error(`formula must be at most ${MAX_FORMULA_LENGTH} characters`);
+  let tree;
+  try {
+    tree = parse(tokenize(text));
+  } catch (err) {
+    throw new Error(`Invalid formula "${text}": ${err.message}`);
+  }
+  return { formula: text, refs: Array.from(collectRefs(tree)), evaluate: (stats) => evaluate(tree, stats) };
+}
+
+// `knownMetrics` ({ [tab]: [metric] }) comes from the cache; tabs that were never scraped are not checked.
+function normalizeDerivedMetrics(input, options = {}) {
+  const { knownMetrics = {} } = options;
+  const list = Array.isArray(input) ? input : input?.metrics;
+  if (!Array.isArray(list)) throw new Error('metrics must be a list');
+  if (list.length > MAX_DERIVED_METRICS) throw new Error(`At most ${MAX_DERIVED_METRICS} derived metrics are allowed`);
+  const tabs = Object.keys(TAB_DEFS);
+  const namesByTab = {};
+  BUILT_IN_METRICS.forEach((metric) => {
+    namesByTab[metric.tab] = [...(namesByTab[metric.tab] || []), metric.name];
+  });
+  return list.map((item, index) => {
+    const label = `metrics[${index}]`;
+    if (!item || typeof item !== 'object') throw new Error(`${label} must be an object`);
+    const name = String(item.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) {
+      throw new Error(`${label}.name must be 1-${MAX_NAME_LENGTH} letters, digits, spaces or % . , : # / ( ) + _ -`);
+    }
+    const tab = String(item.tab || '');
+    if (!tabs.includes(tab)) throw new Error(`${label}.tab must be one of: ${tabs.join(', ')}`);
+    const base = knownMetrics[tab] || [];
+    const taken = namesByTab[tab] || [];
+    if (base.includes(name) || taken.includes(name)) {
+      throw new Error(`${label}.name "${name}" is already a ${tab} metric`);
+    }
+    let compiled;
+    try {
+      compiled = compileFormula(item.formula);
+    } catch (err) {
+      throw new Error(`${label}: ${err.message}`);
+    }
+    if (base.length) {
+      const unknown = compiled.refs.filter((ref) => !base.includes(ref) && !taken.includes(ref));
+      if (unknown.length) {
+        throw new Error(`${label}: unknown ${tab} metric ${unknown.map((ref) => `[${ref}]`).join(', ')}`);
+      }
+    }
+    const decimals = item.decimals == null ? DEFAULT_DECIMALS : Number(item.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 6) {
+      throw new Error(`${label}.decimals must be an integer between 0 and 6`);
+    }
+    namesByTab[tab] = [...taken, name];
+    return { name, tab, formula: compiled.formula, decimals };
+  });
+}
+
+// Appends derived metrics to each tab's metric list and per-player stats; definitions whose inputs the tab lacks
+// are skipped. `derived` maps each added metric to its formula.
+function applyDerivedMetrics(tabs, userMetrics = []) {
+  const next = {};
+  Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
+    const stats = {};
+    Object.entries(tabData?.stats || {}).forEach(([key, values]) => {
+      stats[key] = { ...values };
+    });
+    next[tabKey] = { ...tabData, metrics: [...(tabData?.metrics || [])], stats, derived: {} };
+  });
+  [...BUILT_IN_METRICS, ...userMetrics].forEach((definition) => {
+    const tab = next[definition.tab];
+    if (!tab || tab.metrics.includes(definition.name)) return;
+    let compiled;
+    try {
+      compiled = compileFormula(definition.formula);
+    } catch {
+      return;
+    }
+    if (compiled.refs.some((ref) => !tab.metrics.includes(ref))) return;
+    const factor = 10 ** (definition.decimals ?? DEFAULT_DECIMALS);
+    Object.values(tab.stats).forEach((values) => {
+      const value = compiled.evaluate(values);
+      if (value != null && Number.isFinite(value)) values[definition.name] = Math.round(value * factor) / factor;
+    });
+    tab.metrics.push(definition.name);
+    tab.derived[definition.name] = compiled.formula;
+  });
+  return next;
+}
+
+module.exports = {
+  BUILT_IN_METRICS,
+  compileFormula,
+  normalizeDerivedMetrics,
+  applyDerivedMetrics,
+};
@@ -0,0 +1,81 @@
+const { escapeCsv } = require('./moose_roster_io');
+const { getStatsKey } = require('./moose_scraper');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+};
+const PLAYER_COLUMNS = ['steamId', 'playerId', 'displayName', 'nickname', 'serverName', 'updatedAt'];
+
+function toIsoTime(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// One record per player; `tabs` holds { [tab]: { [metric]: value } } for the requested tab or all of them.
+function buildStatsExport(response, options = {}) {
+  const { tab = null } = options;
+  const available = Object.keys(response?.tabs || {});
+  if (tab && !available.includes(tab)) {
+    throw new Error(`Unknown tab "${tab}" (available: ${available.join(', ') || 'none'})`);
+  }
+  const tabKeys = tab ? [tab] : available;
+  const metrics = {};
+  tabKeys.forEach((key) => {
+    metrics[key] = response.tabs[key]?.metrics || [];
+  });
+  const players = (response?.profiles || []).map((profile) => {
+    const statsKey = getStatsKey(profile);
+    const tabs = {};
+    tabKeys.forEach((key) => {
+      const values = response.tabs[key]?.stats?.[statsKey] || {};
+      tabs[key] = Object.fromEntries(metrics[key].map((metric) => [metric, values[metric] ?? null]));
+    });
+    return {
+      steamId: profile.steamId || null,
+      playerId: profile.playerId || null,
+      displayName: profile.displayName || profile.fallbackName || null,
+      nickname: profile.nickname || null,
+      serverName: response.serverName,
+      updatedAt: toIsoTime(profile.updatedAt || response.updatedAt),
+      tabs,
+    };
+  });
+  return {
+    serverName: response?.serverName || null,
+    tab,
+    updatedAt: toIsoTime(response?.updatedAt),
+    metrics,
+    players,
+  };
+}
+
+// CSV columns use the bare metric name for a single tab and "tab.metric" when every tab is exported.
+function toCsv(exported) {
+  const tabKeys = Object.keys(exported.metrics);
+  const metricColumns = tabKeys.flatMap((tab) =>
+    exported.metrics[tab].map((metric) => ({ tab, metric, label: exported.tab ? metric : `${tab}.${metric}` }))
+  );
+  const header = [...PLAYER_COLUMNS, ...metricColumns.map((column) => column.label)];
+  const lines = exported.players.map((player) =>
+    [
+      ...PLAYER_COLUMNS.map((key) => escapeCsv(player[key])),
+      ...metricColumns.map((column) => escapeCsv(player.tabs[column.tab][column.metric])),
+    ].join(',')
+  );
+  return `${[header.map(escapeCsv).join(','), ...lines].join('\n')}\n`;
+}
+
+function serializeStatsExport(exported, format = 'csv') {
+  if (format === 'json') return `${JSON.stringify(exported, null, 2)}\n`;
+  if (format === 'ndjson') return exported.players.map((player) => `${JSON.stringify(player)}\n`).join('');
+  return toCsv(exported);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  buildStatsExport,
+  serializeStatsExport,
+};
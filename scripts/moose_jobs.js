@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+const DEFAULT_MAX_FINISHED = 50;
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// A job with a different scrape strategy is a different job, so it is queued rather than folded into the running one.
+function buildJobKey({ type, serverName, rosterId, steamIds, params }) {
+  const ids = (steamIds || []).map(String).sort().join(',');
+  return `${type}:${serverName || ''}:${rosterId || ''}:${ids}:${params?.strategy || ''}`;
+}
+
+function describeJob(job, { includeResult = false } = {}) {
+  const view = {
+    id: job.id,
+    type: job.type,
+    serverName: job.serverName,
+    rosterId: job.rosterId,
+    steamIds: job.steamIds,
+    source: job.source,
+    // Requester addresses stay server-side; job views are public and go out over /api/events.
+    requestedBy: job.requestedBy ? { user: job.requestedBy.user } : null,
+    state: job.state,
+    progress: job.progress,
+    error: job.error,
+    cancelRequested: job.cancelRequested,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+  if (includeResult) view.result = job.result;
+  return view;
+}
+
+// Runs refresh jobs one at a time in the order they were enqueued.
+function createJobQueue(options = {}) {
+  const { handlers = {}, onChange, maxFinished = DEFAULT_MAX_FINISHED } = options;
+  const jobs = new Map();
+  const pending = [];
+  const waiters = new Map();
+  const controllers = new Map();
+  let active = null;
+
+  const notify = (job) => {
+    if (typeof onChange === 'function') onChange(describeJob(job));
+  };
+
+  const pruneFinished = () => {
+    const finished = Array.from(jobs.values()).filter((job) => FINISHED_STATES.includes(job.state));
+    finished.slice(0, Math.max(0, finished.length - maxFinished)).forEach((job) => jobs.delete(job.id));
+  };
+
+  const settle = (job) => {
+    (waiters.get(job.id) || []).forEach(({ resolve, reject }) => {
+      if (job.state === 'completed') resolve(job.result);
+      else reject(new Error(job.error || 'Job failed'));
+    });
+    waiters.delete(job.id);
+  };
+
+  const runNext = async () => {
+    if (active || !pending.length) return;
+    const job = pending.shift();
+    active = job;
+    job.state = 'running';
+    job.startedAt = Date.now();
+    notify(job);
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    const context = {
+      signal: controller.signal,
+      report: (message, details = null) => {
+        job.progress = { ...(details || {}), message, at: Date.now() };
+        notify(job);
+      },
+    };
+    try {
+      const handler = handlers[job.type];
+      if (typeof handler !== 'function') throw new Error(`Unknown job type: ${job.type}`);
+      job.result = await handler(job, context);
+      job.state = 'completed';
+    } catch (err) {
+      job.state = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = err?.message || 'Job failed';
+    } finally {
+      job.finishedAt = Date.now();
+      controllers.delete(job.id);
+      active = null;
+      notify(job);
+      settle(job);
+      pruneFinished();
+      runNext();
+    }
+  };
+
+  const enqueue = ({
+    type,
+    serverName = null,
+    rosterId = null,
+    steamIds = [],
+    source = 'manual',
+    requestedBy = null,
+    params = {},
+  }) => {
+    const key = buildJobKey({ type, serverName, rosterId, steamIds, params });
+    const existing = Array.from(jobs.values()).find(
+      (job) => job.key === key && (job.state === 'queued' || job.state === 'running')
+    );
+    if (existing) return { job: existing, deduplicated: true };
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      type,
+      serverName,
+      rosterId,
+      steamIds: (steamIds || []).map(String),
+      source,
+      requestedBy,
+      params,
+      state: 'queued',
+      cancelRequested: false,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    notify(job);
+    runNext();
+    return { job, deduplicated: false };
+  };
+
+  // Queued jobs are dropped right away; running jobs are aborted through their signal and settle when the handler exits.
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATES.includes(job.state)) return false;
+    job.cancelRequested = true;
+    if (job.state === 'queued') {
+      pending.splice(pending.indexOf(job), 1);
+      job.state = 'cancelled';
+      job.error = 'Refresh cancelled';
+      job.finishedAt = Date.now();
+      notify(job);
+      settle(job);
+      pruneFinished();
+      return true;
+    }
+    notify(job);
+    controllers.get(job.id)?.abort();
+    return true;
+  };
+
+  const wait = (job) => {
+    if (job.state === 'completed') return Promise.resolve(job.result);
+    if (FINISHED_STATES.includes(job.state)) return Promise.reject(new Error(job.error || 'Job failed'));
+    return new Promise((resolve, reject) => {
+      if (!waiters.has(job.id)) waiters.set(job.id, []);
+      waiters.get(job.id).push({ resolve, reject });
+    });
+  };
+
+  return {
+    enqueue,
+    cancel,
+    wait,
+    get: (id) => jobs.get(id) || null,
+    list: () => Array.from(jobs.values()),
+    isBusy: () => !!active || pending.length > 0,
+    describe: describeJob,
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
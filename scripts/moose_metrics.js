@@ -0,0 +1,117 @@
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  labelNames.forEach((name) => {
+    picked[name] = labels[name] == null ? '' : String(labels[name]);
+  });
+  return picked;
+}
+
+// A small Prometheus text-format registry; series are kept in memory and reset on restart.
+function createMetricsRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some((item) => item.name === metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+    metrics.push(metric);
+    return metric;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'counter',
+      lines: () =>
+        Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+    });
+    return {
+      name: metric.name,
+      inc(labels = {}, amount = 1) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const current = series.get(key) || { labels: picked, value: 0 };
+        current.value += amount;
+        series.set(key, current);
+      },
+    };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'histogram',
+      lines: () =>
+        Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+          ...bounds.map((le, index) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    });
+    return {
+      name: metric.name,
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value)) return;
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const current = series.get(key) || { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((le, index) => {
+          if (value <= le) current.counts[index] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+        series.set(key, current);
+      },
+    };
+  };
+
+  // Gauges are read when the registry renders; `collect` returns [{ labels, value }].
+  const gauge = (name, help, labelNames, collect) => {
+    register({
+      name,
+      help,
+      type: 'gauge',
+      lines: () =>
+        (collect() || []).map(
+          ({ labels, value }) => `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatValue(value)}`
+        ),
+    });
+  };
+
+  const render = () => {
+    const lines = metrics.flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines(),
+    ]);
+    return `${lines.join('\n')}\n`;
+  };
+
+  return { counter, histogram, gauge, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = {
+  createMetricsRegistry,
+};
@@ -0,0 +1,70 @@
+const { getStatsKey } = require('./moose_scraper');
+const { rankMetric } = require('./moose_ranking');
+
+// One player's values, roster ranks and deltas for every tab of a server response; null when they are not in it.
+function buildPlayerServerStats(response, steamId) {
+  const profiles = response?.profiles || [];
+  const profile = profiles.find((item) => String(item.steamId) === String(steamId));
+  if (!profile) return null;
+  const key = getStatsKey(profile);
+  const tabs = {};
+  Object.entries(response.tabs || {}).forEach(([tabKey, tabData]) => {
+    const stats = tabData?.stats?.[key];
+    if (!stats) return;
+    const metrics = tabData.metrics || [];
+    const values = {};
+    const ranks = {};
+    metrics.forEach((metric) => {
+      values[metric] = stats[metric] ?? null;
+      const ranked = rankMetric(profiles, tabData, metric);
+      const own = ranked.find((item) => item.profile === profile);
+      ranks[metric] = {
+        rank: own?.rank ?? null,
+        tied: !!own?.tied,
+        of: ranked.filter((item) => item.rank != null).length,
+      };
+    });
+    tabs[tabKey] = {
+      metrics,
+      derived: tabData.derived || {},
+      values,
+      ranks,
+      deltas: tabData.deltas?.[key] || {},
+    };
+  });
+  return {
+    serverName: response.serverName || null,
+    updatedAt: profile.updatedAt || response.updatedAt || null,
+    wipe: response.wipe || null,
+    rosterPlayers: profiles.length,
+    missing: !Object.keys(tabs).length,
+    tabs,
+  };
+}
+
+// Names and avatars seen in history snapshots across servers, oldest first; a row is added only when one changes.
+function buildNameHistory(historyServers, steamId) {
+  const key = String(steamId);
+  const snapshots = Object.values(historyServers || {})
+    .flatMap((list) => (Array.isArray(list) ? list : []))
+    .filter((snapshot) => snapshot.players?.[key])
+    .sort((a, b) => a.at - b.at);
+  const entries = [];
+  snapshots.forEach((snapshot) => {
+    const seen = snapshot.players[key];
+    const last = entries[entries.length - 1];
+    const displayName = seen.displayName || last?.displayName || null;
+    const avatarUrl = seen.avatarUrl || last?.avatarUrl || null;
+    if (last && last.displayName === displayName && last.avatarUrl === avatarUrl) {
+      last.lastSeen = snapshot.at;
+      return;
+    }
+    entries.push({ displayName, avatarUrl, firstSeen: snapshot.at, lastSeen: snapshot.at });
+  });
+  return entries;
+}
+
+module.exports = {
+  buildPlayerServerStats,
+  buildNameHistory,
+};
@@ -0,0 +1,144 @@
+const { getStatsKey } = require('./moose_scraper');
+
+const RANK_ORDERS = ['desc', 'asc'];
+// Percentages (Headshot %, Accuracy %, ...) are compared at display precision, so 14.6% and 14.9% share a rank.
+const isRoundedMetric = (metric) => /%$/.test(String(metric));
+
+function toOrdinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  switch (n % 10) {
+    case 1:
+      return `${n}st`;
+    case 2:
+      return `${n}nd`;
+    case 3:
+      return `${n}rd`;
+    default:
+      return `${n}th`;
+  }
+}
+
+function rankValue(metric, raw) {
+  if (typeof raw !== 'number' || !Number.isFinite(raw)) return null;
+  return isRoundedMetric(metric) ? Math.round(raw) : raw;
+}
+
+// Dense ranking: equal values share a rank and the next value takes the following rank (1, 1, 2).
+// Items without a value are listed last with a null rank.
+function assignRanks(items, options = {}) {
+  const { order = 'desc' } = options;
+  const direction = order === 'asc' ? 1 : -1;
+  const ranked = items.filter((item) => item.value != null).sort((a, b) => direction * (a.value - b.value));
+  const counts = new Map();
+  ranked.forEach((item) => counts.set(item.value, (counts.get(item.value) || 0) + 1));
+  let lastValue = null;
+  let rank = 0;
+  return [
+    ...ranked.map((item) => {
+      if (rank === 0 || item.value !== lastValue) {
+        rank += 1;
+        lastValue = item.value;
+      }
+      return { ...item, rank, tied: counts.get(item.value) > 1 };
+    }),
+    ...items.filter((item) => item.value == null).map((item) => ({ ...item, rank: null, tied: false })),
+  ];
+}
+
+function rankMetric(profiles, tabData, metric, options = {}) {
+  return assignRanks(
+    (profiles || []).map((profile) => {
+      const statsKey = getStatsKey(profile);
+      const raw = tabData?.stats?.[statsKey]?.[metric] ?? null;
+      return { statsKey, profile, raw, value: rankValue(metric, raw) };
+    }),
+    options
+  );
+}
+
+// Adds `ranks: { [metric]: { [statsKey]: rank } }` to every tab.
+function rankTabs(tabs, profiles) {
+  const next = {};
+  Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
+    const ranks = {};
+    (tabData?.metrics || []).forEach((metric) => {
+      ranks[metric] = {};
+      rankMetric(profiles, tabData, metric).forEach((item) => {
+        if (item.rank != null) ranks[metric][item.statsKey] = item.rank;
+      });
+    });
+    next[tabKey] = { ...tabData, ranks };
+  });
+  return next;
+}
+
+function describeRankedPlayer(profile) {
+  return {
+    playerId: profile.playerId || null,
+    steamId: profile.steamId || null,
+    displayName: profile.displayName || profile.fallbackName || null,
+    nickname: profile.nickname || null,
+  };
+}
+
+function resolveTab(tabs, tab, metric) {
+  const available = Object.keys(tabs || {});
+  if (tab) {
+    if (available.includes(tab)) return tab;
+    throw new Error(`Unknown tab "${tab}" (available: ${available.join(', ') || 'none'})`);
+  }
+  if (!metric) return null;
+  const found = available.find((key) => (tabs[key]?.metrics || []).includes(metric));
+  if (!found) throw new Error(`Unknown metric "${metric}"`);
+  return found;
+}
+
+// With a metric: players ranked on it. Without one: every player's rank on each metric of the tab (or all tabs).
+function buildLeaderboard(response, options = {}) {
+  const { metric = null, order = 'desc' } = options;
+  if (!RANK_ORDERS.includes(order)) throw new Error(`order must be one of: ${RANK_ORDERS.join(', ')}`);
+  const tabs = response?.tabs || {};
+  const tab = resolveTab(tabs, options.tab || null, metric);
+  const base = { serverName: response?.serverName || null, updatedAt: response?.updatedAt || null, order };
+  if (metric) {
+    if (!(tabs[tab]?.metrics || []).includes(metric)) throw new Error(`Unknown metric "${metric}" on tab "${tab}"`);
+    return {
+      ...base,
+      tab,
+      metric,
+      players: rankMetric(response.profiles, tabs[tab], metric, { order }).map((item) => ({
+        rank: item.rank,
+        ordinal: item.rank == null ? null : toOrdinal(item.rank),
+        tied: item.tied,
+        value: item.raw,
+        ...describeRankedPlayer(item.profile),
+      })),
+    };
+  }
+  const tabKeys = tab ? [tab] : Object.keys(tabs);
+  const players = (response?.profiles || []).map((profile) => ({ ...describeRankedPlayer(profile), ranks: {} }));
+  const metrics = {};
+  tabKeys.forEach((tabKey) => {
+    metrics[tabKey] = tabs[tabKey]?.metrics || [];
+    players.forEach((player) => {
+      player.ranks[tabKey] = {};
+    });
+    metrics[tabKey].forEach((metricLabel) => {
+      rankMetric(response.profiles, tabs[tabKey], metricLabel, { order }).forEach((item) => {
+        const index = response.profiles.indexOf(item.profile);
+        players[index].ranks[tabKey][metricLabel] = { rank: item.rank, tied: item.tied, value: item.raw };
+      });
+    });
+  });
+  return { ...base, tab, metrics, players };
+}
+
+module.exports = {
+  RANK_ORDERS,
+  toOrdinal,
+  assignRanks,
+  rankMetric,
+  rankTabs,
+  buildLeaderboard,
+};
@@ -0,0 +1,186 @@
+const ROSTER_FORMATS = ['csv', 'json'];
+const CSV_COLUMNS = ['name', 'steamUrl', 'steamId', 'nickname', 'color', 'servers'];
+const HEADER_ALIASES = {
+  name: 'name',
+  displayname: 'name',
+  steamname: 'name',
+  steamurl: 'steamUrl',
+  url: 'steamUrl',
+  profile: 'steamUrl',
+  steamid: 'steamId',
+  steamid64: 'steamId',
+  id: 'steamId',
+  nickname: 'nickname',
+  nick: 'nickname',
+  color: 'color',
+  colour: 'color',
+  servers: 'servers',
+  server: 'servers',
+};
+const STEAM_PROFILE_PATTERN = /^https?:\/\/(www\.)?steamcommunity\.com\/(id|profiles)\/[^/\s]+\/?$/i;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_NICKNAME_LENGTH = 32;
+const MARKUP_PATTERN = /[<>"`]/;
+// Spreadsheets evaluate cells starting with these; exports prefix them with ' so they stay text.
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function splitServers(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value == null || value === '') return null;
+  return String(value)
+    .split(/[|;]/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+function buildEntry(row, fields) {
+  const text = (value) =>
+    value == null || value === '' ? null : String(value).trim().replace(/^'(?=[=+\-@])/, '') || null;
+  return {
+    row,
+    name: text(fields.name),
+    steamUrl: text(fields.steamUrl),
+    steamId: text(fields.steamId),
+    nickname: text(fields.nickname),
+    color: text(fields.color),
+    servers: splitServers(fields.servers),
+  };
+}
+
+// A header row names the columns; without one the text is read as the legacy "Name, URL, Name, URL" pairs.
+function parseRosterCsv(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ number: index + 1, cells: parseCsvLine(line) }))
+    .filter((line) => line.cells.some(Boolean));
+  if (!lines.length) return [];
+  const header = lines[0].cells.map((cell) => HEADER_ALIASES[cell.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  if (header.includes('steamUrl') || header.includes('steamId')) {
+    return lines.slice(1).map((line) => {
+      const fields = {};
+      header.forEach((key, index) => {
+        if (key && line.cells[index]) fields[key] = line.cells[index];
+      });
+      return buildEntry(line.number, fields);
+    });
+  }
+  const tokens = lines.flatMap((line) => line.cells.filter(Boolean));
+  const entries = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    const [name, target] = tokens[i + 1] ? [tokens[i], tokens[i + 1]] : [null, tokens[i]];
+    const isSteamId = /^\d{17}$/.test(target);
+    entries.push(buildEntry(entries.length + 1, { name, [isSteamId ? 'steamId' : 'steamUrl']: target }));
+  }
+  return entries;
+}
+
+function parseRosterJson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+  const list = Array.isArray(data) ? data : data?.players;
+  if (!Array.isArray(list)) throw new Error('JSON import must be an array of players or { "players": [...] }');
+  return list.map((item, index) => {
+    const value = item && typeof item === 'object' ? item : { steamUrl: item };
+    return buildEntry(index + 1, {
+      name: value.name ?? value.displayName,
+      steamUrl: value.steamUrl ?? value.url,
+      steamId: value.steamId,
+      nickname: value.nickname,
+      color: value.color,
+      servers: value.servers,
+    });
+  });
+}
+
+function parseRosterImport(data, format = 'csv') {
+  if (!ROSTER_FORMATS.includes(format)) throw new Error(`format must be one of: ${ROSTER_FORMATS.join(', ')}`);
+  if (data == null || data === '') throw new Error('Import data required');
+  return format === 'json' ? parseRosterJson(data) : parseRosterCsv(data);
+}
+
+// Checks what can be checked without Steam lookups or roster state.
+function validateImportEntry(entry) {
+  const errors = [];
+  if (!entry.steamUrl && !entry.steamId) errors.push('steamUrl or steamId required');
+  if (entry.steamUrl && !STEAM_PROFILE_PATTERN.test(entry.steamUrl)) {
+    errors.push('steamUrl must be a steamcommunity.com/id/... or /profiles/... link');
+  }
+  if (entry.steamId && !/^\d{17}$/.test(entry.steamId)) errors.push('steamId must be a 17-digit SteamID64');
+  if (entry.color && !COLOR_PATTERN.test(entry.color)) errors.push('color must be a hex color like #66c0f4');
+  if (entry.nickname && entry.nickname.length > MAX_NICKNAME_LENGTH) {
+    errors.push(`nickname must be at most ${MAX_NICKNAME_LENGTH} characters`);
+  }
+  if (entry.nickname && MARKUP_PATTERN.test(entry.nickname)) {
+    errors.push('nickname must not contain <, >, " or `');
+  }
+  return errors;
+}
+
+function toExportRow(player) {
+  return {
+    name: player.displayName || null,
+    steamUrl: player.steamUrl || null,
+    steamId: player.steamId || null,
+    nickname: player.nickname || null,
+    color: player.color || null,
+    servers: Array.isArray(player.servers) && player.servers.length ? player.servers : null,
+  };
+}
+
+function escapeCsv(value) {
+  const raw = value == null ? '' : String(value);
+  const text = typeof value === 'string' && FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeRoster(players, format = 'csv') {
+  const rows = (players || []).map(toExportRow);
+  if (format === 'json') return `${JSON.stringify({ players: rows }, null, 2)}\n`;
+  const lines = rows.map((row) =>
+    CSV_COLUMNS.map((key) => escapeCsv(key === 'servers' && row.servers ? row.servers.join('|') : row[key])).join(',')
+  );
+  return `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
+
+module.exports = {
+  ROSTER_FORMATS,
+  parseRosterImport,
+  validateImportEntry,
+  serializeRoster,
+  escapeCsv,
+};
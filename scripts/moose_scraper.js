@@ -2,8 +2,11 @@ const { chromium } = require('playwright');
 const { expect } = require('playwright/test');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./moose_config');
 
-const MOOSE_URL = 'https://beta.moose.gg/stats';
+const config = getConfig();
+const MOOSE_URL = config.mooseUrl;
+const TIMEOUT_MS = config.scraper.timeoutMs;
 
 const COLUMN_PATTERNS = {
   KDR: [/^kdr$/i],
@@ -59,13 +62,19 @@ const TAB_HEADER_MARKERS = {
 const FALLBACK_AVATAR =
   'https://steamcommunity-a.akamaihd.net/public/shared/images/responsive/share_steam_logo.png';
 
-const RETRY_BACKOFFS_MS = [250, 500, 750];
+const RETRY_BACKOFFS_MS = config.scraper.retryBackoffsMs;
 
 function isRetryableDetachError(err) {
   const message = String(err && err.message ? err.message : err);
   return message.includes('not attached to the DOM') || message.includes('Target closed');
 }
 
+function createCancelledError() {
+  const err = new Error('Refresh cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
 function delayMs(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -97,7 +106,7 @@ async function withDetachRetry(action, options = {}) {
   const {
     playerName = 'Unknown player',
     actionLabel = 'action',
-    attempts = 3,
+    attempts = config.scraper.retryAttempts,
     backoffs = RETRY_BACKOFFS_MS,
     log,
   } = options;
@@ -237,6 +246,13 @@ function steamIdFromUrl(steamUrl) {
   }
 }
 
+// Stats are keyed by SteamID64 so renames don't orphan them; unresolved profiles fall back to their URL or name.
+function getStatsKey(profile) {
+  if (!profile) return null;
+  if (profile.steamId && /^\d{17}$/.test(String(profile.steamId))) return String(profile.steamId);
+  return profile.steamUrl || profile.displayName || profile.fallbackName || null;
+}
+
 async function resolveSteamId64(page, steamUrl) {
   const direct = steamIdFromUrl(steamUrl);
   if (direct && /^\d{17}$/.test(direct)) return direct;
@@ -359,11 +375,11 @@ async function fetchSteamProfile(page, steamUrl, steamIdInput) {
   };
 }
 
-async function selectServer(page, serverName, report) {
+async function openServerDropdown(page, report) {
   const dropdownLocatorFn = () => page.locator('input.mud-select-input').first();
   report?.('Waiting for server dropdown...');
-  await expect(dropdownLocatorFn()).toBeVisible({ timeout: 10000 });
-  await expect(dropdownLocatorFn()).toBeAttached({ timeout: 10000 });
+  await expect(dropdownLocatorFn()).toBeVisible({ timeout: TIMEOUT_MS });
+  await expect(dropdownLocatorFn()).toBeAttached({ timeout: TIMEOUT_MS });
   report?.('Opening server dropdown...');
   await safeClick(page, dropdownLocatorFn, {
     actionLabel: 'open server dropdown',
@@ -390,22 +406,53 @@ async function selectServer(page, serverName, report) {
     await popover.waitFor({ state: 'visible', timeout: 5000 });
   }
 
-  report?.('Choosing server option...');
   const itemsLocatorFn = () => page.locator('.mud-popover .mud-list-item');
-  await expect(itemsLocatorFn().first()).toBeVisible({ timeout: 10000 });
-  const desiredIndex = /biweekly/i.test(serverName) ? 6 : 0;
-  let optionLocatorFn = () => itemsLocatorFn().nth(desiredIndex);
-  if ((await itemsLocatorFn().count()) <= desiredIndex) {
-    optionLocatorFn = () => itemsLocatorFn().filter({ hasText: serverName }).first();
+  await expect(itemsLocatorFn().first()).toBeVisible({ timeout: TIMEOUT_MS });
+  const itemsText = (await itemsLocatorFn().allInnerTexts()).map((text) => text.replace(/\s+/g, ' ').trim());
+  return { itemsLocatorFn, itemsText };
+}
+
+async function selectServer(page, serverName, report) {
+  const { itemsLocatorFn, itemsText } = await openServerDropdown(page, report);
+  report?.('Choosing server option...');
+  const wanted = String(serverName).trim().toLowerCase();
+  const desiredIndex = itemsText.findIndex((text) => text.toLowerCase() === wanted);
+  if (desiredIndex < 0) {
+    throw new Error(`Server "${serverName}" not found on Moose (available: ${itemsText.filter(Boolean).join(', ')})`);
   }
-  await safeClick(page, optionLocatorFn, {
+  await safeClick(page, () => itemsLocatorFn().nth(desiredIndex), {
     actionLabel: 'select server option',
     clickOptions: { force: true },
   });
   await page.waitForTimeout(1500);
   await page.locator('table tbody').first().waitFor({ state: 'visible' });
 
-  return { selectionLabel: serverName, itemsText: [], targetFound: true };
+  return { selectionLabel: itemsText[desiredIndex], itemsText: itemsText.filter(Boolean), targetFound: true };
+}
+
+// Reads the server names offered by the Moose stats dropdown without scraping any players.
+async function discoverServers(onStatus, options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) throw createCancelledError();
+  const browser = await chromium.launch({
+    headless: config.scraper.headless,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+  const closeOnAbort = () => browser.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
+  try {
+    const page = await browser.newPage();
+    onStatus?.('Opening Moose stats...');
+    await page.goto(MOOSE_URL, { waitUntil: 'networkidle' });
+    const { itemsText } = await openServerDropdown(page, onStatus);
+    return Array.from(new Set(itemsText.filter(Boolean)));
+  } catch (err) {
+    if (signal?.aborted) throw createCancelledError();
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', closeOnAbort);
+    await browser.close().catch(() => {});
+  }
 }
 
 async function selectStatsTab(page, tabKey, report) {
@@ -449,7 +496,7 @@ async function waitForHeaders(page, markers, timeout = 5000) {
 }
 
 async function mapTableColumns(page, columnPatterns) {
-  await page.locator('table thead th').first().waitFor({ state: 'visible', timeout: 10000 });
+  await page.locator('table thead th').first().waitFor({ state: 'visible', timeout: TIMEOUT_MS });
   const headers = await page.locator('table thead th').evaluateAll((ths) =>
     ths.map((th) => (th.textContent || '').trim())
   );
@@ -476,7 +523,7 @@ async function mapTableColumns(page, columnPatterns) {
 
 async function mapColumnsByLabel(page, labels) {
   if (!labels || labels.length === 0) return { columnMap: {}, metrics: [] };
-  await page.locator('table thead th').first().waitFor({ state: 'visible', timeout: 10000 });
+  await page.locator('table thead th').first().waitFor({ state: 'visible', timeout: TIMEOUT_MS });
   const headers = await page.locator('table thead th').evaluateAll((ths) =>
     ths.map((th) => (th.textContent || '').trim())
   );
@@ -492,18 +539,18 @@ async function mapColumnsByLabel(page, labels) {
 
 async function searchPlayerRow(page, profile) {
   const searchInput = getSearchInput(page);
-  await expect(searchInput).toBeVisible({ timeout: 10000 });
-  await expect(searchInput).toBeAttached({ timeout: 10000 });
+  await expect(searchInput).toBeVisible({ timeout: TIMEOUT_MS });
+  await expect(searchInput).toBeAttached({ timeout: TIMEOUT_MS });
   const listContainerFn = () => getListContainer(page);
-  await expect(listContainerFn()).toBeVisible({ timeout: 10000 });
-  await expect(listContainerFn()).toBeAttached({ timeout: 10000 });
+  await expect(listContainerFn()).toBeVisible({ timeout: TIMEOUT_MS });
+  await expect(listContainerFn()).toBeAttached({ timeout: TIMEOUT_MS });
 
   const tryAnchor = async (key) => {
     if (!key) return null;
     const rowLocatorFn = () => getPlayerRowLocator(page, key);
     if ((await rowLocatorFn().count()) > 0) {
-      await expect(rowLocatorFn()).toBeVisible({ timeout: 10000 });
-      await expect(rowLocatorFn()).toBeAttached({ timeout: 10000 });
+      await expect(rowLocatorFn()).toBeVisible({ timeout: TIMEOUT_MS });
+      await expect(rowLocatorFn()).toBeAttached({ timeout: TIMEOUT_MS });
       return key;
     }
     return null;
@@ -626,13 +673,13 @@ async function extractStatsFromRow(rowLocatorFn, columnMap, page, metricLabels,
   return stats;
 }
 
-async function getPlayerStats(page, profile, columnMap, metricLabels) {
+async function getPlayerStats(page, profile, columnMap, metricLabels, options = {}) {
   const label =
     profile.displayName || profile.fallbackName || profile.steamId || profile.steamUrl || 'Unknown player';
   const rowKey = await searchPlayerRow(page, profile);
   const listContainerFn = () => getListContainer(page);
   const rowLocatorFn = () => getPlayerRowLocator(page, rowKey);
-  const retryLog = (message) => console.warn(message);
+  const retryLog = typeof options.log === 'function' ? options.log : (message) => console.warn(message);
 
   return withDetachRetry(
     async () => {
@@ -673,25 +720,61 @@ async function getPlayerStats(page, profile, columnMap, metricLabels) {
 }
 
 async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onStatus, options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) throw createCancelledError();
   const browser = await chromium.launch({
-    headless: true,
+    headless: config.scraper.headless,
     args: ['--no-sandbox', '--disable-setuid-sandbox'],
   });
+  // Closing the browser makes any in-flight Playwright call fail fast instead of waiting out its timeout.
+  const closeOnAbort = () => browser.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
   const page = await browser.newPage();
-  const report = (message) => {
-    if (typeof onStatus === 'function') onStatus(message);
-  };
   const timingStart = Date.now();
   const strategy = options.strategy === 'perPlayer' ? 'perPlayer' : 'perTab';
+  const progressState = { phase: 'opening', tabKey: null, tabIndex: null, tabTotal: 0, stepsDone: 0, stepTotal: 0 };
+  let totalRetries = 0;
+  // Time spent per tab, including tab switches and column mapping.
+  const tabMs = {};
+  const addTabMs = (tabKey, ms) => {
+    tabMs[tabKey] = (tabMs[tabKey] || 0) + ms;
+  };
+  // Text stays the first argument so existing callers keep working; the second argument is the structured view.
+  const report = (message, details = {}) => {
+    if (signal?.aborted) throw createCancelledError();
+    if (typeof onStatus !== 'function') return;
+    ['phase', 'tabKey', 'tabIndex', 'tabTotal'].forEach((key) => {
+      if (details[key] !== undefined) progressState[key] = details[key];
+    });
+    const { phase, tabKey, tabIndex, tabTotal, stepsDone, stepTotal } = progressState;
+    let percent = stepTotal ? Math.round((stepsDone / stepTotal) * 100) : 0;
+    if (phase === 'complete') percent = 100;
+    onStatus(message, {
+      phase,
+      tabKey,
+      tabIndex,
+      tabTotal,
+      steamId: null,
+      playerName: null,
+      playerIndex: null,
+      playerTotal: players.length,
+      retries: 0,
+      stepMs: null,
+      ...details,
+      totalRetries,
+      percent,
+    });
+  };
   try {
-    report('Opening Moose stats...');
+    report('Opening Moose stats...', { phase: 'opening' });
     await page.goto(MOOSE_URL, { waitUntil: 'networkidle' });
-    report(`Selecting server: ${serverName}`);
-    const serverInfo = await selectServer(page, serverName, report);
+    report(`Selecting server: ${serverName}`, { phase: 'server' });
+    const serverInfo = await selectServer(page, serverName, (message) => report(message));
 
-    report('Loading player profiles...');
+    report('Loading player profiles...', { phase: 'profiles' });
     const profiles = [];
     for (const p of players) {
+      if (signal?.aborted) throw createCancelledError();
       const needsProfile =
         !p.displayName ||
         !p.avatarUrl ||
@@ -741,12 +824,74 @@ async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onSta
     const missing = [];
     const missingIndexes = new Set();
     const scrapePvp = tabEntries.some(([key]) => key === 'pvp');
-    report(`Scraping tabs: ${tabEntries.map(([key]) => key).join(', ')} (${strategy})`);
     const totalTabs = tabEntries.length || 1;
+    progressState.stepTotal = tabEntries.length * profiles.length;
+    report(`Scraping tabs: ${tabEntries.map(([key]) => key).join(', ')} (${strategy})`, {
+      phase: 'tabs',
+      tabTotal: totalTabs,
+    });
     const tabCache = {};
 
+    const scrapeStep = async (tabKey, tabDef, tabIndex, profile, profileIndex, reportProgress) => {
+      const label = profile.displayName || profile.fallbackName;
+      const player = { steamId: profile.steamId || null, playerName: label, playerIndex: profileIndex };
+      const stepStart = Date.now();
+      let retries = 0;
+      const log = (message) => {
+        retries += 1;
+        totalRetries += 1;
+        console.warn(message);
+        reportProgress(message, { ...player, phase: 'retry', retries });
+      };
+      reportProgress(`${tabDef.label}: Scraping ${label}...`, { ...player, phase: 'scraping', retries });
+      try {
+        const stats = await getPlayerStats(page, profile, columnMapFor(tabKey), metricsFor(tabKey), { log });
+        addTabMs(tabKey, Date.now() - stepStart);
+        progressState.stepsDone += 1;
+        reportProgress(`${tabDef.label}: Scraped ${label}`, {
+          ...player,
+          phase: 'scraped',
+          retries,
+          stepMs: Date.now() - stepStart,
+        });
+        return stats;
+      } catch (err) {
+        if (signal?.aborted) throw createCancelledError();
+        addTabMs(tabKey, Date.now() - stepStart);
+        progressState.stepsDone += 1;
+        if (tabKey === 'pvp') {
+          missingIndexes.add(profileIndex);
+          missing.push({
+            label,
+            key: getStatsKey(profile),
+            steamId: profile.steamId,
+            steamUrl: profile.steamUrl,
+            reason: err.message || 'Missing player stats',
+          });
+          // Players missing on PvP are skipped on the remaining tabs, so count those steps as done.
+          progressState.stepsDone += tabEntries.length - tabIndex - 1;
+        }
+        reportProgress(`Failed ${tabDef.label} for ${label}: ${err.message || 'Unknown error'}`, {
+          ...player,
+          phase: tabKey === 'pvp' ? 'missing' : 'failed',
+          retries,
+          stepMs: Date.now() - stepStart,
+        });
+        return null;
+      }
+    };
+    const columnMapFor = (tabKey) => tabCache[tabKey]?.columnMap;
+    const metricsFor = (tabKey) => tabCache[tabKey]?.metrics;
+
+    const buildTabReporter = (tabKey, tabIndex) => {
+      const progressPrefix = `Loading... (${tabIndex + 1}/${totalTabs})`;
+      return (detail, details = {}) =>
+        report(`${progressPrefix}||${detail}`, { phase: 'mapping', ...details, tabKey, tabIndex });
+    };
+
     const ensureTabReady = async (tabKey, tabDef, reportProgress) => {
       if (tabCache[tabKey]) return tabCache[tabKey];
+      const readyStart = Date.now();
       await selectStatsTab(page, tabKey, reportProgress);
       const markers = TAB_HEADER_MARKERS[tabKey];
       if (markers && markers.length) {
@@ -754,7 +899,7 @@ async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onSta
         if (!ok) reportProgress(`${tabDef.label} headers not detected after tab switch.`);
       }
       await resetTableSearch(page);
-      await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: 10000 });
+      await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: TIMEOUT_MS });
       reportProgress(`${tabDef.label}: Mapping table columns...`);
       let { columnMap, metrics } = await mapTableColumns(page, tabDef.patterns);
       if (tabDef.patterns && Object.keys(columnMap).length === 0) {
@@ -763,7 +908,7 @@ async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onSta
         if (markers && markers.length) {
           await waitForHeaders(page, markers, 8000);
         }
-        await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: 10000 });
+        await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: TIMEOUT_MS });
         ({ columnMap, metrics } = await mapTableColumns(page, tabDef.patterns));
       }
       if (tabDef.patterns && Object.keys(columnMap).length === 0) {
@@ -772,65 +917,34 @@ async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onSta
       }
       tabCache[tabKey] = { columnMap, metrics };
       tabs[tabKey] = { metrics, stats: {}, columnMap };
+      addTabMs(tabKey, Date.now() - readyStart);
       return tabCache[tabKey];
     };
 
     if (strategy === 'perPlayer') {
       for (const [profileIndex, profile] of profiles.entries()) {
-        const label = profile.displayName || profile.fallbackName;
+        const statsKey = getStatsKey(profile);
         for (const [tabIndex, [tabKey, tabDef]] of tabEntries.entries()) {
           if (scrapePvp && missingIndexes.has(profileIndex) && tabKey !== 'pvp') continue;
-          const progressPrefix = `Loading... (${tabIndex + 1}/${totalTabs})`;
-          const reportProgress = (detail) => report?.(`${progressPrefix}||${detail}`);
-          const { columnMap, metrics } = await ensureTabReady(tabKey, tabDef, reportProgress);
+          const reportProgress = buildTabReporter(tabKey, tabIndex);
+          await ensureTabReady(tabKey, tabDef, reportProgress);
           await resetTableSearch(page);
-          await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: 10000 });
-          try {
-            reportProgress(`${tabDef.label}: Scraping ${label}...`);
-            const stats = await getPlayerStats(page, profile, columnMap, metrics);
-            tabs[tabKey].stats[label] = stats;
-          } catch (err) {
-            if (tabKey === 'pvp') {
-              missingIndexes.add(profileIndex);
-              missing.push({
-                label,
-                steamId: profile.steamId,
-                steamUrl: profile.steamUrl,
-                reason: err.message || 'Missing player stats',
-              });
-            } else {
-              reportProgress(`Failed ${tabDef.label} for ${label}: ${err.message || 'Unknown error'}`);
-            }
-          }
+          await page.locator('table tbody tr').first().waitFor({ state: 'visible', timeout: TIMEOUT_MS });
+          const stats = await scrapeStep(tabKey, tabDef, tabIndex, profile, profileIndex, reportProgress);
+          if (stats) tabs[tabKey].stats[statsKey] = stats;
         }
       }
     } else {
       for (const [index, [tabKey, tabDef]] of tabEntries.entries()) {
-        const progressPrefix = `Loading... (${index + 1}/${totalTabs})`;
-        const reportProgress = (detail) => report?.(`${progressPrefix}||${detail}`);
-        const { columnMap, metrics } = await ensureTabReady(tabKey, tabDef, reportProgress);
+        const reportProgress = buildTabReporter(tabKey, index);
+        const { columnMap: tabColumnMap, metrics } = await ensureTabReady(tabKey, tabDef, reportProgress);
         const stats = {};
         for (const [profileIndex, profile] of profiles.entries()) {
           if (scrapePvp && missingIndexes.has(profileIndex) && tabKey !== 'pvp') continue;
-          const label = profile.displayName || profile.fallbackName;
-          try {
-            reportProgress(`${tabDef.label}: Scraping ${label}...`);
-            stats[label] = await getPlayerStats(page, profile, columnMap, metrics);
-          } catch (err) {
-            if (tabKey === 'pvp') {
-              missingIndexes.add(profileIndex);
-              missing.push({
-                label,
-                steamId: profile.steamId,
-                steamUrl: profile.steamUrl,
-                reason: err.message || 'Missing player stats',
-              });
-            } else {
-              reportProgress(`Failed ${tabDef.label} for ${label}: ${err.message || 'Unknown error'}`);
-            }
-          }
+          const playerStats = await scrapeStep(tabKey, tabDef, index, profile, profileIndex, reportProgress);
+          if (playerStats) stats[getStatsKey(profile)] = playerStats;
         }
-        tabs[tabKey] = { metrics, stats, columnMap };
+        tabs[tabKey] = { metrics, stats, columnMap: tabColumnMap };
       }
     }
 
@@ -841,16 +955,28 @@ async function scrapePlayers(players, serverName = 'US Monthly (Premium)', onSta
     });
 
     const durationMs = Date.now() - timingStart;
-    report(`Scrape complete (${strategy}, ${durationMs}ms).`);
-    return { profiles: profilesWithStatus, tabs, missing, serverInfo, timings: { strategy, durationMs } };
+    report(`Scrape complete (${strategy}, ${durationMs}ms).`, { phase: 'complete', stepMs: durationMs });
+    return {
+      profiles: profilesWithStatus,
+      tabs,
+      missing,
+      serverInfo,
+      timings: { strategy, durationMs, retries: totalRetries, tabs: tabMs },
+    };
+  } catch (err) {
+    if (signal?.aborted) throw createCancelledError();
+    throw err;
   } finally {
-    await browser.close();
+    signal?.removeEventListener('abort', closeOnAbort);
+    await browser.close().catch(() => {});
   }
 }
 
 module.exports = {
   scrapePlayers,
+  discoverServers,
   steamIdFromUrl,
+  getStatsKey,
   FALLBACK_AVATAR,
   COLUMN_PATTERNS,
   TAB_DEFS,
@@ -0,0 +1,35 @@
+const fs = require('fs');
+
+// Accepts epoch milliseconds or anything Date.parse reads; empty values mean "no bound".
+function parseTime(value, name) {
+  if (value == null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  if (!Number.isFinite(time)) throw new Error(`${name} must be a timestamp or ISO date`);
+  return time;
+}
+
+// Reads an append-only NDJSON file oldest first; a missing file is empty and unreadable lines are skipped.
+function readNdjson(file) {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch {
+    return [];
+  }
+  return raw
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseTime,
+  readNdjson,
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { readNdjson } = require('./moose_util');
+
+const WEBHOOK_EVENTS = ['refresh.completed', 'refresh.failed', 'leader.changed'];
+const WEBHOOK_FORMATS = ['json', 'discord'];
+const MAX_WEBHOOKS = 20;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_BACKOFFS_MS = [1000, 5000, 15000];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 500;
+const DISCORD_COLORS = {
+  'refresh.completed': 0x66c0f4,
+  'refresh.failed': 0xff5252,
+  'leader.changed': 0xffc107,
+  test: 0x9e9e9e,
+};
+
+function normalizeWebhook(input, index) {
+  const label = `webhooks[${index}]`;
+  if (!input || typeof input !== 'object') throw new Error(`${label} must be an object`);
+  let url;
+  try {
+    url = new URL(String(input.url || ''));
+  } catch {
+    throw new Error(`${label}.url must be an absolute URL`);
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new Error(`${label}.url must use http or https`);
+  const format = input.format ? String(input.format) : 'json';
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`${label}.format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  const events = input.events == null ? WEBHOOK_EVENTS : input.events;
+  if (!Array.isArray(events) || !events.length || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`${label}.events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const name = input.name ? String(input.name).trim().slice(0, 60) : url.host;
+  return {
+    id: input.id ? String(input.id) : crypto.randomUUID(),
+    name,
+    url: url.toString(),
+    format,
+    events: Array.from(new Set(events)),
+    serverName: input.serverName ? String(input.serverName) : null,
+    rosterId: input.rosterId ? String(input.rosterId) : null,
+    secret: input.secret ? String(input.secret) : null,
+    enabled: input.enabled !== false,
+  };
+}
+
+function normalizeWebhooks(input) {
+  const list = Array.isArray(input) ? input : input?.webhooks;
+  if (!Array.isArray(list)) throw new Error('webhooks must be a list');
+  if (list.length > MAX_WEBHOOKS) throw new Error(`At most ${MAX_WEBHOOKS} webhooks are allowed`);
+  const webhooks = list.map(normalizeWebhook);
+  const ids = new Set();
+  webhooks.forEach((hook) => {
+    if (ids.has(hook.id)) throw new Error(`Duplicate webhook id: ${hook.id}`);
+    ids.add(hook.id);
+  });
+  return webhooks;
+}
+
+// Discord webhook URLs carry their token in the path, so only admins see the full address.
+function describeWebhook(hook, { reveal = false } = {}) {
+  const { secret, url, ...rest } = hook;
+  let shown = url;
+  if (!reveal) {
+    const parsed = new URL(url);
+    shown = `${parsed.origin}/…`;
+  }
+  return { ...rest, url: shown, hasSecret: !!secret };
+}
+
+function describePlayer(player) {
+  return player?.name || player?.steamId || 'Unknown player';
+}
+
+function summarizeEvent(event, payload) {
+  const where = [payload.serverName, payload.rosterName || payload.rosterId].filter(Boolean).join(' / ');
+  if (event === 'refresh.completed') {
+    const missing = payload.missing || [];
+    return {
+      title: `Refresh complete${where ? `: ${where}` : ''}`,
+      lines: [
+        `${payload.players ?? 0} players refreshed in ${Math.round((payload.durationMs || 0) / 1000)}s`,
+        ...(missing.length ? [`Missing: ${missing.join(', ')}`] : []),
+      ],
+    };
+  }
+  if (event === 'refresh.failed') {
+    return { title: `Refresh failed${where ? `: ${where}` : ''}`, lines: [payload.error || 'Unknown error'] };
+  }
+  if (event === 'leader.changed') {
+    return {
+      title: `New leaders${where ? `: ${where}` : ''}`,
+      lines: (payload.changes || []).map(
+        (change) =>
+          `${change.metric} (${change.tab}): ${describePlayer(change.current)} ${change.current.value}` +
+          (change.previous ? `, was ${describePlayer(change.previous)} ${change.previous.value}` : '')
+      ),
+    };
+  }
+  return { title: 'Test webhook from Moose Stats', lines: [payload.message || 'Webhook delivery works.'] };
+}
+
+function buildBody(hook, event, payload, at) {
+  if (hook.format === 'discord') {
+    const { title, lines } = summarizeEvent(event, payload);
+    return {
+      username: 'Moose Stats',
+      embeds: [
+        {
+          title: title.slice(0, 256),
+          description: lines.join('\n').slice(0, 4000) || undefined,
+          color: DISCORD_COLORS[event] ?? DISCORD_COLORS.test,
+          timestamp: new Date(at).toISOString(),
+        },
+      ],
+    };
+  }
+  return { event, at, data: payload };
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function delayMs(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Deliveries run in the background and never block refreshes; each attempt is kept in an NDJSON delivery log.
+function createWebhookDispatcher(options = {}) {
+  const {
+    file,
+    getWebhooks,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retryBackoffsMs = DEFAULT_RETRY_BACKOFFS_MS,
+    onDelivery,
+  } = options;
+
+  const recordDelivery = (delivery) => {
+    try {
+      fs.appendFileSync(file, `${JSON.stringify(delivery)}\n`);
+    } catch (err) {
+      console.warn(`[webhooks] could not write delivery log: ${err.message}`);
+    }
+    if (typeof onDelivery === 'function') onDelivery(delivery);
+    return delivery;
+  };
+
+  const attempt = async (hook, body) => {
+    const text = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'moose-stats-webhooks' };
+    if (hook.secret) {
+      headers['X-Moose-Signature'] = `sha256=${crypto.createHmac('sha256', hook.secret).update(text).digest('hex')}`;
+    }
+    const startedAt = Date.now();
+    try {
+      const resp = await fetch(hook.url, {
+        method: 'POST',
+        headers,
+        body: text,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      return {
+        at: startedAt,
+        status: resp.status,
+        ok: resp.ok,
+        retryable: isRetryableStatus(resp.status),
+        error: resp.ok ? null : `HTTP ${resp.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (err) {
+      const error = err?.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err?.message || 'Request failed';
+      return { at: startedAt, status: null, ok: false, retryable: true, error, durationMs: Date.now() - startedAt };
+    }
+  };
+
+  const deliver = async (hook, event, payload, { test = false } = {}) => {
+    const at = Date.now();
+    const body = buildBody(hook, event, payload, at);
+    const attempts = [];
+    for (let index = 0; index <= retryBackoffsMs.length; index += 1) {
+      const result = await attempt(hook, body);
+      attempts.push(result);
+      if (result.ok || !result.retryable || index === retryBackoffsMs.length) break;
+      await delayMs(retryBackoffsMs[index]);
+    }
+    const last = attempts[attempts.length - 1];
+    return recordDelivery({
+      id: crypto.randomUUID(),
+      at,
+      webhookId: hook.id,
+      webhookName: hook.name,
+      event,
+      test,
+      outcome: last.ok ? 'ok' : 'error',
+      status: last.status,
+      error: last.error,
+      attempts: attempts.map(({ retryable, ...rest }) => rest),
+    });
+  };
+
+  const matches = (hook, event, payload) =>
+    hook.enabled &&
+    hook.events.includes(event) &&
+    (!hook.serverName || hook.serverName === payload.serverName) &&
+    (!hook.rosterId || hook.rosterId === payload.rosterId);
+
+  const dispatch = (event, payload) => {
+    const hooks = (getWebhooks() || []).filter((hook) => matches(hook, event, payload));
+    hooks.forEach((hook) => {
+      deliver(hook, event, payload).catch((err) => console.warn(`[webhooks] ${hook.name}: ${err.message}`));
+    });
+    return hooks.length;
+  };
+
+  const test = (hook, payload = {}) => deliver(hook, 'test', payload, { test: true });
+
+  // Newest first.
+  const deliveries = (query = {}) => {
+    const limit = query.limit != null && query.limit !== '' ? Number(query.limit) : DEFAULT_DELIVERY_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_DELIVERY_LIMIT}`);
+    }
+    return readNdjson(file)
+      .filter((entry) => !query.webhookId || entry.webhookId === query.webhookId)
+      .reverse()
+      .slice(0, limit);
+  };
+
+  return { dispatch, test, deliveries };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  normalizeWebhooks,
+  describeWebhook,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,209 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+const BIWEEKLY_DAYS = 14;
+const CADENCES = ['monthly', 'biweekly', 'weekly'];
+
+const DEFAULT_SCHEDULE = {
+  cadence: 'monthly',
+  weekday: 4,
+  time: '14:00',
+  timezone: 'America/New_York',
+  overrides: [],
+  skips: [],
+};
+
+function defaultScheduleFor(serverName) {
+  const name = String(serverName || '');
+  let cadence = 'monthly';
+  if (/biweekly/i.test(name)) cadence = 'biweekly';
+  else if (/weekly/i.test(name)) cadence = 'weekly';
+  return { ...DEFAULT_SCHEDULE, cadence };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getZonedParts(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(at));
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value || 0);
+  return {
+    year: get('year'),
+    month: get('month') - 1,
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+function getTimeZoneOffset(at, timeZone) {
+  const p = getZonedParts(at, timeZone);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(at / 1000) * 1000;
+}
+
+// Converts a wall-clock time in `timeZone` to a UTC timestamp, re-checking the offset across DST changes.
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const first = guess - getTimeZoneOffset(guess, timeZone);
+  const second = guess - getTimeZoneOffset(first, timeZone);
+  return second;
+}
+
+function formatZonedDate(at, timeZone) {
+  const p = getZonedParts(at, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}`;
+}
+
+function parseTime(time) {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function parseOverride(value, schedule) {
+  const text = String(value || '').trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (local) {
+    const time = local[4] != null ? { hour: Number(local[4]), minute: Number(local[5]) } : parseTime(schedule.time);
+    return zonedTimeToUtc(
+      Number(local[1]),
+      Number(local[2]) - 1,
+      Number(local[3]),
+      time.hour,
+      time.minute,
+      schedule.timezone
+    );
+  }
+  const parsed = Date.parse(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeSchedule(input, serverName) {
+  const base = defaultScheduleFor(serverName);
+  const raw = input && typeof input === 'object' ? input : {};
+  const schedule = {
+    cadence: raw.cadence != null ? String(raw.cadence).toLowerCase() : base.cadence,
+    weekday: raw.weekday != null ? Number(raw.weekday) : base.weekday,
+    time: raw.time != null ? String(raw.time).trim() : base.time,
+    timezone: raw.timezone != null ? String(raw.timezone).trim() : base.timezone,
+    overrides: Array.isArray(raw.overrides) ? raw.overrides.map((d) => String(d).trim()).filter(Boolean) : [],
+    skips: Array.isArray(raw.skips) ? raw.skips.map((d) => String(d).trim()).filter(Boolean) : [],
+  };
+  if (!CADENCES.includes(schedule.cadence)) {
+    throw new Error(`cadence must be one of ${CADENCES.join(', ')}`);
+  }
+  if (!Number.isInteger(schedule.weekday) || schedule.weekday < 0 || schedule.weekday > 6) {
+    throw new Error('weekday must be 0 (Sunday) through 6 (Saturday)');
+  }
+  if (!parseTime(schedule.time)) throw new Error('time must be HH:MM');
+  if (!isValidTimeZone(schedule.timezone)) throw new Error(`Unknown timezone: ${schedule.timezone}`);
+  schedule.overrides.forEach((value) => {
+    if (parseOverride(value, schedule) == null) throw new Error(`Invalid override date: ${value}`);
+  });
+  schedule.skips.forEach((value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`Invalid skip date: ${value}`);
+  });
+  return schedule;
+}
+
+function getFirstWeekdayOfMonth(year, month, weekday) {
+  const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstDay + WEEK_DAYS) % WEEK_DAYS);
+}
+
+function getScheduledBoundaries(schedule, at) {
+  const { hour, minute } = parseTime(schedule.time);
+  const { year, month } = getZonedParts(at, schedule.timezone);
+  const anchors = [];
+  for (let offset = -2; offset <= 2; offset += 1) {
+    const date = new Date(Date.UTC(year, month + offset, 1));
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    anchors.push({ y, m, d: getFirstWeekdayOfMonth(y, m, schedule.weekday) });
+  }
+  const boundaries = [];
+  anchors.forEach((anchor, index) => {
+    const next = anchors[index + 1];
+    const nextDay = next ? Date.UTC(next.y, next.m, next.d) : null;
+    const step = schedule.cadence === 'weekly' ? WEEK_DAYS : schedule.cadence === 'biweekly' ? BIWEEKLY_DAYS : null;
+    let day = Date.UTC(anchor.y, anchor.m, anchor.d);
+    do {
+      const date = new Date(day);
+      boundaries.push(
+        zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute, schedule.timezone)
+      );
+      day += (step || 0) * DAY_MS;
+    } while (step && nextDay != null && day < nextDay);
+  });
+  return boundaries;
+}
+
+function getWipeBoundaries(schedule, at) {
+  const overrides = schedule.overrides.map((value) => parseOverride(value, schedule)).filter((v) => v != null);
+  const overrideDates = new Set(overrides.map((value) => formatZonedDate(value, schedule.timezone)));
+  const skips = new Set(schedule.skips);
+  const scheduled = getScheduledBoundaries(schedule, at).filter((value) => {
+    const date = formatZonedDate(value, schedule.timezone);
+    return !skips.has(date) && !overrideDates.has(date);
+  });
+  return Array.from(new Set([...scheduled, ...overrides])).sort((a, b) => a - b);
+}
+
+function buildRange(start, end, schedule) {
+  return {
+    id: formatZonedDate(start, schedule.timezone),
+    start,
+    end,
+    timezone: schedule.timezone,
+  };
+}
+
+function getWipeRange(serverName, at = Date.now(), scheduleInput = null) {
+  const schedule = normalizeSchedule(scheduleInput, serverName);
+  const boundaries = getWipeBoundaries(schedule, at);
+  let startIndex = -1;
+  boundaries.forEach((value, index) => {
+    if (value <= at) startIndex = index;
+  });
+  const start = startIndex >= 0 ? boundaries[startIndex] : at;
+  const end = boundaries[startIndex + 1] != null ? boundaries[startIndex + 1] : null;
+  return buildRange(start, end, schedule);
+}
+
+function getUpcomingWipes(serverName, at = Date.now(), scheduleInput = null, count = 3) {
+  const schedule = normalizeSchedule(scheduleInput, serverName);
+  return getWipeBoundaries(schedule, at)
+    .filter((value) => value > at)
+    .slice(0, count)
+    .map((value) => ({ id: formatZonedDate(value, schedule.timezone), at: value }));
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  getZonedParts,
+  isValidTimeZone,
+  defaultScheduleFor,
+  normalizeSchedule,
+  getWipeRange,
+  getUpcomingWipes,
+};
@@ -1,32 +1,203 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const pkg = require('./package.json');
-const { scrapePlayers, steamIdFromUrl, FALLBACK_AVATAR } = require('./scripts/moose_scraper');
+const {
+  scrapePlayers,
+  discoverServers,
+  steamIdFromUrl,
+  getStatsKey,
+  FALLBACK_AVATAR,
+} = require('./scripts/moose_scraper');
+const {
+  getWipeRange,
+  getUpcomingWipes,
+  normalizeSchedule,
+  getZonedParts,
+  isValidTimeZone,
+} = require('./scripts/moose_wipes');
+const { createJobQueue } = require('./scripts/moose_jobs');
+const { getConfig, describeConfig } = require('./scripts/moose_config');
+const { createAdminAuth } = require('./scripts/moose_auth');
+const { createAuditLog, normalizeAuditFilters } = require('./scripts/moose_audit');
+const {
+  ROSTER_FORMATS,
+  parseRosterImport,
+  validateImportEntry,
+  serializeRoster,
+} = require('./scripts/moose_roster_io');
+const { EXPORT_FORMATS, EXPORT_TYPES, buildStatsExport, serializeStatsExport } = require('./scripts/moose_export');
+const { createMetricsRegistry } = require('./scripts/moose_metrics');
+const { normalizeWebhooks, describeWebhook, createWebhookDispatcher } = require('./scripts/moose_webhooks');
+const { rankMetric, rankTabs, buildLeaderboard } = require('./scripts/moose_ranking');
+const { BUILT_IN_METRICS, normalizeDerivedMetrics, applyDerivedMetrics } = require('./scripts/moose_derived');
+const { parseSince, findBaselines, buildDeltaTabs } = require('./scripts/moose_deltas');
+const { buildPlayerServerStats, buildNameHistory } = require('./scripts/moose_player_stats');
 
-const DATA_DIR = __dirname;
+const config = getConfig();
+const DATA_DIR = config.dataDir;
 const PLAYERS_FILE = path.join(DATA_DIR, 'players.json');
+const ROSTERS_FILE = path.join(DATA_DIR, 'rosters.json');
 const CACHE_FILE = path.join(DATA_DIR, 'data.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const WIPE_SCHEDULE_FILE = path.join(DATA_DIR, 'wipe-schedule.json');
+const SCHEDULE_FILE = path.join(DATA_DIR, 'schedule.json');
+const SERVERS_FILE = path.join(DATA_DIR, 'servers.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.jsonl');
+const DERIVED_METRICS_FILE = path.join(DATA_DIR, 'derived-metrics.json');
+const MIN_SCHEDULE_INTERVAL_MINUTES = 5;
+const MAX_SCHEDULE_INTERVAL_MINUTES = 7 * 24 * 60;
+const MAX_HISTORY_SNAPSHOTS = config.maxHistorySnapshots;
 const MIN_PLAYERS = 0;
-const MIN_COMPARE_PLAYERS = 2;
-const MAX_PLAYERS = 10;
-const SERVER_NAME = 'US Monthly (Premium)';
-const ALLOWED_SERVERS = ['US Monthly (Premium)', 'US Biweekly (Premium)'];
+const MIN_COMPARE_PLAYERS = config.minComparePlayers;
+const MAX_PLAYERS = config.maxPlayers;
+const SERVER_NAME = config.defaultServer;
+// Used until the Moose server dropdown has been read once; see servers.json.
+const DEFAULT_SERVERS = ['US Monthly (Premium)', 'US Biweekly (Premium)'];
+const DEFAULT_ROSTER_ID = 'default';
+const MAX_ROSTER_NAME_LENGTH = 40;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const PUBLIC_PAGES = ['index.html', 'player.html', 'moose_stats_chart.html'];
+fs.mkdirSync(DATA_DIR, { recursive: true });
+seedDataDir();
 let lastRefreshStatus = { message: 'Idle', at: Date.now() };
+const eventClients = new Set();
+
+const metrics = createMetricsRegistry();
+const SCRAPE_BUCKETS = [5, 10, 20, 30, 60, 120, 300, 600, 1200];
+const scrapeDuration = metrics.histogram(
+  'moose_scrape_duration_seconds',
+  'Duration of successful Moose scrapes.',
+  ['kind', 'strategy'],
+  SCRAPE_BUCKETS
+);
+const scrapeTabDuration = metrics.histogram(
+  'moose_scrape_tab_duration_seconds',
+  'Time spent on each stats tab during a scrape.',
+  ['strategy', 'tab'],
+  SCRAPE_BUCKETS
+);
+const scrapeRetries = metrics.counter('moose_scrape_retries_total', 'Retries after detached elements while scraping.', [
+  'strategy',
+]);
+const scrapePlayersMissing = metrics.counter(
+  'moose_scrape_players_missing_total',
+  'Players not found on the Moose leaderboard during a scrape.',
+  ['server']
+);
+const refreshJobs = metrics.counter('moose_refresh_jobs_total', 'Finished refresh jobs by outcome.', [
+  'type',
+  'source',
+  'outcome',
+]);
+const refreshJobDuration = metrics.histogram(
+  'moose_refresh_job_duration_seconds',
+  'Duration of refresh jobs, including failed and cancelled ones.',
+  ['type', 'outcome'],
+  SCRAPE_BUCKETS
+);
+const steamLookupFailures = metrics.counter('moose_steam_lookup_failures_total', 'Failed Steam profile lookups.', [
+  'lookup',
+]);
+const httpRequests = metrics.counter('moose_http_requests_total', 'HTTP requests by route and status.', [
+  'method',
+  'route',
+  'status',
+]);
+const httpDuration = metrics.histogram('moose_http_request_duration_seconds', 'HTTP request latency by route.', [
+  'method',
+  'route',
+]);
+// Per-server cache summary for the gauges below; saveCache keeps it current so a scrape never reads data.json.
+const cacheStatus = new Map();
+metrics.gauge('moose_cache_age_seconds', 'Seconds since the cached stats for a server were updated.', ['server'], () =>
+  Array.from(cacheStatus)
+    .filter(([, status]) => status.updatedAt)
+    .map(([server, status]) => ({ labels: { server }, value: (Date.now() - status.updatedAt) / 1000 }))
+);
+metrics.gauge('moose_cache_players_missing', 'Players missing from the cached stats for a server.', ['server'], () =>
+  Array.from(cacheStatus).map(([server, status]) => ({ labels: { server }, value: status.missing }))
+);
+metrics.gauge('moose_event_clients', 'Connected event stream clients.', [], () => [
+  { labels: {}, value: eventClients.size },
+]);
 
 function isValidSteamId(steamId) {
   return /^\d{17}$/.test(String(steamId || ''));
 }
 
+function loadServerList() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SERVERS_FILE, 'utf8'));
+    if (parsed && Array.isArray(parsed.servers) && parsed.servers.length) return parsed;
+  } catch {
+    // fall through to the defaults
+  }
+  return { servers: DEFAULT_SERVERS, updatedAt: null };
+}
+
+function saveServerList(servers) {
+  const list = { servers, updatedAt: Date.now() };
+  fs.writeFileSync(SERVERS_FILE, JSON.stringify(list, null, 2));
+  return list;
+}
+
+function getAllowedServers() {
+  return loadServerList().servers;
+}
+
+function getDefaultServer(servers = getAllowedServers()) {
+  return servers.includes(SERVER_NAME) ? SERVER_NAME : servers[0];
+}
+
+// Every scrape reads the dropdown anyway, so keep servers.json in step with what Moose currently offers.
+function rememberServers(serverInfo) {
+  const names = Array.from(new Set((serverInfo?.itemsText || []).filter(Boolean)));
+  if (!names.length) return;
+  const current = loadServerList();
+  if (current.updatedAt && names.join('\n') === current.servers.join('\n')) return;
+  const list = saveServerList(names);
+  broadcast('servers', list);
+}
+
 function normalizeServerName(serverName) {
-  if (!serverName) return SERVER_NAME;
+  const servers = getAllowedServers();
+  if (!serverName) return getDefaultServer(servers);
   const trimmed = String(serverName).trim();
-  const match = ALLOWED_SERVERS.find((name) => name.toLowerCase() === trimmed.toLowerCase());
-  return match || SERVER_NAME;
+  const match = servers.find((name) => name.toLowerCase() === trimmed.toLowerCase());
+  return match || getDefaultServer(servers);
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  eventClients.forEach((res) => writeEvent(res, event, data));
 }
 
-function setRefreshStatus(message) {
-  lastRefreshStatus = { message, at: Date.now() };
+// Canonical spelling of a known server name, or null when the name is not one of the allowed servers.
+function findAllowedServer(name, allowed = getAllowedServers()) {
+  return allowed.find((option) => option.toLowerCase() === String(name).trim().toLowerCase()) || null;
+}
+
+function normalizeServerList(servers) {
+  if (servers == null) return null;
+  if (!Array.isArray(servers)) throw new Error('servers must be an array');
+  const allowed = getAllowedServers();
+  const names = servers.map((name) => findAllowedServer(name, allowed));
+  if (names.some((name) => !name)) throw new Error(`servers must be from: ${allowed.join(', ')}`);
+  if (!names.length) throw new Error('Select at least one server');
+  const unique = Array.from(new Set(names));
+  return unique.length === allowed.length ? null : unique;
+}
+
+function setRefreshStatus(message, progress = null) {
+  lastRefreshStatus = { message, progress, at: Date.now() };
+  broadcast('status', lastRefreshStatus);
 }
 
 async function fetchSteamProfileSummaryFromUrl(steamUrl) {
@@ -38,7 +209,10 @@ async function fetchSteamProfileSummaryFromUrl(steamUrl) {
           'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118 Safari/537.36',
       },
     });
-    if (!resp.ok) return {};
+    if (!resp.ok) {
+      steamLookupFailures.inc({ lookup: 'profile' });
+      return {};
+    }
     const html = await resp.text();
     const nameFromOg = html.match(/property="og:title"\s+content="Steam Community :: ([^"]+)"/i);
     const nameFromSpan = html.match(/actual_persona_name[^>]*>\s*([^<]+)\s*</i);
@@ -49,6 +223,7 @@ async function fetchSteamProfileSummaryFromUrl(steamUrl) {
       avatarUrl: viaAvatar?.[1] || viaOg?.[1] || null,
     };
   } catch {
+    steamLookupFailures.inc({ lookup: 'profile' });
     return {};
   }
 }
@@ -107,30 +282,202 @@ async function resolveSteamId64(steamUrl) {
           'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118 Safari/537.36',
       },
     });
-    if (!resp.ok) return null;
-    const txt = await resp.text();
-    const m = txt.match(/<steamID64>(\d{17})<\/steamID64>/);
+    const m = resp.ok ? (await resp.text()).match(/<steamID64>(\d{17})<\/steamID64>/) : null;
+    if (!m) steamLookupFailures.inc({ lookup: 'steamId' });
     return m?.[1] || null;
   } catch {
+    steamLookupFailures.inc({ lookup: 'steamId' });
     return null;
   }
 }
 
-function loadPlayers() {
+function buildRoster(id, name, players = []) {
+  const now = Date.now();
+  return { id, name, players, createdAt: now, updatedAt: now };
+}
+
+// Player ids are the SteamID64 known when the player is added, otherwise a random UUID; they never change afterwards.
+function assignPlayerId(player, players = []) {
+  if (player.id) return player;
+  const taken = new Set(players.map((p) => p.id).filter(Boolean).map(String));
+  const steamId = isValidSteamId(player.steamId) ? String(player.steamId) : null;
+  const id = steamId && !taken.has(steamId) ? steamId : crypto.randomUUID();
+  return { ...player, id };
+}
+
+function ensurePlayerIds(players) {
+  let changed = false;
+  const next = [];
+  (players || []).forEach((player) => {
+    const withId = assignPlayerId(player, [...next, ...players]);
+    if (withId !== player) changed = true;
+    next.push(withId);
+  });
+  return { players: next, changed };
+}
+
+// players.json predates rosters; on first start it becomes the default roster and is left in place untouched.
+function migratePlayersFile() {
+  let players = [];
   try {
-    const raw = fs.readFileSync(PLAYERS_FILE, 'utf8');
-    return JSON.parse(raw);
+    const parsed = JSON.parse(fs.readFileSync(PLAYERS_FILE, 'utf8'));
+    if (Array.isArray(parsed)) players = ensurePlayerIds(parsed).players;
   } catch {
-    return [];
+    players = [];
+  }
+  const store = { defaultRosterId: DEFAULT_ROSTER_ID, rosters: [buildRoster(DEFAULT_ROSTER_ID, 'Default', players)] };
+  saveRosters(store);
+  return store;
+}
+
+// Before DATA_DIR existed everything lived next to server.js. When a separate data directory has none of our files
+// yet, copy the legacy ones over once so upgrades keep their rosters and cache instead of starting empty.
+function seedDataDir() {
+  if (path.resolve(DATA_DIR) === path.resolve(__dirname)) return;
+  const names = [
+    PLAYERS_FILE,
+    ROSTERS_FILE,
+    CACHE_FILE,
+    HISTORY_FILE,
+    WIPE_SCHEDULE_FILE,
+    SCHEDULE_FILE,
+    SERVERS_FILE,
+    AUDIT_FILE,
+    WEBHOOKS_FILE,
+    WEBHOOK_DELIVERIES_FILE,
+    DERIVED_METRICS_FILE,
+  ].map((file) => path.basename(file));
+  if (names.some((name) => fs.existsSync(path.join(DATA_DIR, name)))) return;
+  const legacy = names.filter((name) => fs.existsSync(path.join(__dirname, name)));
+  if (!legacy.length) {
+    console.warn(`[data] ${DATA_DIR} is empty and no legacy data was found in ${__dirname}; starting fresh`);
+    return;
   }
+  legacy.forEach((name) => fs.copyFileSync(path.join(__dirname, name), path.join(DATA_DIR, name)));
+  console.log(`[data] seeded ${DATA_DIR} from ${__dirname}: ${legacy.join(', ')}`);
+}
+
+function loadRosters() {
+  if (!fs.existsSync(ROSTERS_FILE)) return migratePlayersFile();
+  try {
+    const raw = fs.readFileSync(ROSTERS_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (parsed && Array.isArray(parsed.rosters) && parsed.rosters.length) {
+      if (!parsed.rosters.some((roster) => roster.id === parsed.defaultRosterId)) {
+        parsed.defaultRosterId = parsed.rosters[0].id;
+      }
+      let changed = false;
+      parsed.rosters.forEach((roster) => {
+        const result = ensurePlayerIds(roster.players);
+        roster.players = result.players;
+        if (result.changed) changed = true;
+      });
+      if (changed) saveRosters(parsed);
+      return parsed;
+    }
+  } catch (err) {
+    console.warn(`[rosters] unreadable rosters file: ${err.message}`);
+  }
+  return { defaultRosterId: DEFAULT_ROSTER_ID, rosters: [buildRoster(DEFAULT_ROSTER_ID, 'Default')] };
+}
+
+function saveRosters(store) {
+  fs.writeFileSync(ROSTERS_FILE, JSON.stringify(store, null, 2));
+}
+
+function getRoster(store, rosterId) {
+  const id = rosterId || store.defaultRosterId;
+  return store.rosters.find((roster) => roster.id === id) || null;
+}
+
+function describeRoster(roster, store) {
+  return {
+    id: roster.id,
+    name: roster.name,
+    players: (roster.players || []).length,
+    isDefault: roster.id === store.defaultRosterId,
+    createdAt: roster.createdAt || null,
+    updatedAt: roster.updatedAt || null,
+  };
+}
+
+function normalizeRosterName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('name required');
+  if (trimmed.length > MAX_ROSTER_NAME_LENGTH) {
+    throw new Error(`name must be at most ${MAX_ROSTER_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+function buildRosterId(name, store) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'roster';
+  let id = base;
+  for (let suffix = 2; store.rosters.some((roster) => roster.id === id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+function getRequestRosterId(req) {
+  const value = req.query?.rosterId ?? req.body?.rosterId;
+  return value ? String(value) : null;
+}
+
+// Resolves the roster a request targets, answering 404 itself when the id is unknown.
+function requireRoster(req, res) {
+  const roster = getRoster(loadRosters(), getRequestRosterId(req));
+  if (!roster) res.status(404).json({ error: 'Roster not found' });
+  return roster;
+}
+
+function loadPlayers(rosterId = null) {
+  const roster = getRoster(loadRosters(), rosterId);
+  return roster ? [...(roster.players || [])] : [];
+}
+
+function loadAllRosterPlayers() {
+  return loadRosters().rosters.flatMap((roster) => roster.players || []);
+}
+
+function isPlayerInAnyRoster(player) {
+  if (!player) return false;
+  const id = player.steamId ? String(player.steamId) : null;
+  const url = player.steamUrl ? String(player.steamUrl) : null;
+  return loadAllRosterPlayers().some(
+    (p) => (id && p.steamId && String(p.steamId) === id) || (url && p.steamUrl && String(p.steamUrl) === url)
+  );
+}
+
+// Finds a player by persistent id, falling back to SteamID64 for callers that only know the Steam account.
+function findPlayerIndex(players, id) {
+  const key = String(id || '');
+  if (!key) return -1;
+  const index = players.findIndex((p) => p.id != null && String(p.id) === key);
+  if (index >= 0) return index;
+  return players.findIndex((p) => p.steamId && String(p.steamId) === key);
 }
 
-function withPlayerIds(players) {
-  return players.map((player, index) => ({ id: index, ...player }));
+// Players without a servers list are tracked on every server.
+function isPlayerOnServer(player, serverName) {
+  return !Array.isArray(player?.servers) || !player.servers.length || player.servers.includes(serverName);
 }
 
-function savePlayers(players) {
-  fs.writeFileSync(PLAYERS_FILE, JSON.stringify(players, null, 2));
+function playersForServer(players, serverName) {
+  return players.filter((player) => isPlayerOnServer(player, serverName));
+}
+
+function savePlayers(players, rosterId = null) {
+  const store = loadRosters();
+  const roster = getRoster(store, rosterId);
+  if (!roster) throw new Error('Roster not found');
+  roster.players = players;
+  roster.updatedAt = Date.now();
+  saveRosters(store);
 }
 
 function loadCache() {
@@ -144,19 +491,120 @@ function loadCache() {
 
 function saveCache(data) {
   fs.writeFileSync(CACHE_FILE, JSON.stringify(data, null, 2));
+  recordCacheStatus(data);
+}
+
+function recordCacheStatus(store) {
+  cacheStatus.clear();
+  Object.entries(store?.servers || {}).forEach(([server, cache]) => {
+    cacheStatus.set(server, { updatedAt: cache?.updatedAt || null, missing: (cache?.missing || []).length });
+  });
+}
+
+// Caches written before stats were keyed by SteamID64 stored them under display names; rename them in place.
+function migrateStatsKeys(cache) {
+  if (!cache || cache.statsKey === 'steamId') return false;
+  const byLabel = new Map();
+  (cache.profiles || []).forEach((profile) => {
+    const key = getStatsKey(profile);
+    [profile.displayName, profile.fallbackName].filter(Boolean).forEach((label) => {
+      if (!byLabel.has(String(label))) byLabel.set(String(label), key);
+    });
+  });
+  Object.values(cache.tabs || {}).forEach((tabData) => {
+    if (!tabData?.stats) return;
+    const nextStats = {};
+    Object.entries(tabData.stats).forEach(([statKey, values]) => {
+      const key = byLabel.get(statKey) || statKey;
+      if (!nextStats[key] || key === statKey) nextStats[key] = values;
+    });
+    tabData.stats = nextStats;
+  });
+  (cache.missing || []).forEach((item) => {
+    if (item && !item.key) item.key = getStatsKey(item) || byLabel.get(String(item.label)) || item.label || null;
+  });
+  cache.statsKey = 'steamId';
+  return true;
+}
+
+function migrateCacheStore(store) {
+  let changed = false;
+  Object.values(store.servers || {}).forEach((cache) => {
+    if (migrateStatsKeys(cache)) changed = true;
+  });
+  Object.values(store.archive || {}).forEach((wipes) => {
+    Object.values(wipes || {}).forEach((cache) => {
+      if (migrateStatsKeys(cache)) changed = true;
+    });
+  });
+  if (changed) saveCache(store);
+  return store;
 }
 
 function loadCacheStore() {
   const raw = loadCache();
   if (!raw) return { servers: {} };
-  if (raw.servers) return raw;
+  if (raw.servers) return archiveStaleCaches(migrateCacheStore(raw));
   if (raw.serverName) {
     const name = normalizeServerName(raw.serverName);
-    return { servers: { [name]: raw } };
+    return archiveStaleCaches(migrateCacheStore({ servers: { [name]: raw } }));
   }
   return { servers: {} };
 }
 
+function loadWipeSchedules() {
+  try {
+    const raw = fs.readFileSync(WIPE_SCHEDULE_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.servers ? parsed : { servers: {} };
+  } catch {
+    return { servers: {} };
+  }
+}
+
+function saveWipeSchedules(schedules) {
+  fs.writeFileSync(WIPE_SCHEDULE_FILE, JSON.stringify(schedules, null, 2));
+}
+
+function getWipeSchedule(serverName, schedules = loadWipeSchedules()) {
+  try {
+    return normalizeSchedule(schedules.servers[serverName], serverName);
+  } catch (err) {
+    console.warn(`[wipes] invalid schedule for ${serverName}: ${err.message}`);
+    return normalizeSchedule(null, serverName);
+  }
+}
+
+function getServerWipeRange(serverName, at = Date.now()) {
+  return getWipeRange(serverName, at, getWipeSchedule(serverName));
+}
+
+function getCacheWipe(serverName, cache) {
+  if (!cache) return null;
+  return cache.wipe || getServerWipeRange(serverName, cache.updatedAt || Date.now());
+}
+
+function archiveStaleCaches(store) {
+  let changed = false;
+  Object.entries(store.servers || {}).forEach(([name, cache]) => {
+    if (!cache) return;
+    const current = getServerWipeRange(name);
+    if ((cache.updatedAt || 0) >= current.start) return;
+    const wipe = getServerWipeRange(name, cache.updatedAt || 0);
+    if (!store.archive) store.archive = {};
+    if (!store.archive[name]) store.archive[name] = {};
+    store.archive[name][wipe.id] = { ...cache, wipe };
+    delete store.servers[name];
+    changed = true;
+  });
+  if (changed) saveCache(store);
+  return store;
+}
+
+function getArchivedCache(store, serverName, wipeId) {
+  return store?.archive?.[serverName]?.[wipeId] || null;
+}
+
 function getServerCache(store, serverName) {
   if (!store || !store.servers) return null;
   return store.servers[serverName] || null;
@@ -164,10 +612,101 @@ function getServerCache(store, serverName) {
 
 function setServerCache(store, serverName, cache) {
   if (!store.servers) store.servers = {};
-  store.servers[serverName] = cache;
+  store.servers[serverName] = { ...cache, statsKey: 'steamId', wipe: getServerWipeRange(serverName) };
   saveCache(store);
 }
 
+function loadHistory() {
+  try {
+    const raw = fs.readFileSync(HISTORY_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.servers ? parsed : { servers: {} };
+  } catch {
+    return { servers: {} };
+  }
+}
+
+function saveHistory(history) {
+  fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+}
+
+function buildSnapshotPlayers(profiles, tabs) {
+  const players = {};
+  (profiles || []).forEach((profile) => {
+    const label = profile.displayName || profile.fallbackName;
+    const key = getStatsKey(profile);
+    if (!key) return;
+    const playerTabs = {};
+    Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
+      const stats = tabData?.stats?.[key];
+      if (stats) playerTabs[tabKey] = { ...stats };
+    });
+    if (!Object.keys(playerTabs).length) return;
+    players[key] = {
+      steamId: profile.steamId || null,
+      displayName: label || null,
+      avatarUrl: profile.avatarUrl || null,
+      tabs: playerTabs,
+    };
+  });
+  return players;
+}
+
+// Appends a timestamped snapshot of a scrape; scope is 'full' for roster refreshes, 'player' otherwise.
+function recordSnapshot(serverName, result, scope = 'full') {
+  const players = buildSnapshotPlayers(result?.profiles, result?.tabs);
+  if (!Object.keys(players).length) return null;
+  const history = loadHistory();
+  const snapshots = Array.isArray(history.servers[serverName]) ? history.servers[serverName] : [];
+  const at = Date.now();
+  const snapshot = { at, wipeId: getServerWipeRange(serverName, at).id, scope, players };
+  snapshots.push(snapshot);
+  if (snapshots.length > MAX_HISTORY_SNAPSHOTS) {
+    snapshots.splice(0, snapshots.length - MAX_HISTORY_SNAPSHOTS);
+  }
+  history.servers[serverName] = snapshots;
+  saveHistory(history);
+  return snapshot;
+}
+
+function buildHistorySeries(snapshots, options = {}) {
+  const { steamIds = [], tab = null, since = null, until = null } = options;
+  const wanted = new Set(steamIds.map(String));
+  const byPlayer = new Map();
+  (snapshots || []).forEach((snapshot) => {
+    if (since != null && snapshot.at < since) return;
+    if (until != null && snapshot.at > until) return;
+    Object.entries(snapshot.players || {}).forEach(([key, entry]) => {
+      if (wanted.size && !wanted.has(key)) return;
+      if (tab && !entry.tabs?.[tab]) return;
+      if (!byPlayer.has(key)) {
+        byPlayer.set(key, { steamId: entry.steamId || null, displayName: null, avatarUrl: null, points: [] });
+      }
+      const series = byPlayer.get(key);
+      series.displayName = entry.displayName || series.displayName;
+      series.avatarUrl = entry.avatarUrl || series.avatarUrl;
+      const point = { at: snapshot.at, scope: snapshot.scope };
+      if (tab) point.stats = entry.tabs[tab];
+      else point.tabs = entry.tabs;
+      series.points.push(point);
+    });
+  });
+  return Array.from(byPlayer.values());
+}
+
+// Snapshots keep scraped stats only; derived metrics are computed per point so timelines can plot them too.
+function addDerivedToSeries(series, tab) {
+  const definitions = loadDerivedMetrics();
+  return series.map((entry) => ({
+    ...entry,
+    points: entry.points.map((point) => {
+      const stats = point.stats || {};
+      const tabData = { metrics: Object.keys(stats), stats: { point: stats } };
+      return { ...point, stats: applyDerivedMetrics({ [tab]: tabData }, definitions)[tab].stats.point };
+    }),
+  }));
+}
+
 function buildFallbackResponse(serverName, players) {
   const profiles = (players || []).map((player) => ({
     steamUrl: player.steamUrl,
@@ -189,6 +728,7 @@ function buildFallbackResponse(serverName, players) {
     missing: [],
     serverInfo: null,
     updatedAt: null,
+    wipe: getServerWipeRange(serverName),
     cached: false,
   };
 }
@@ -205,7 +745,7 @@ async function normalizePlayer(steamUrl) {
   };
 }
 
-async function hydratePlayers(players) {
+async function hydratePlayers(players, rosterId = null) {
   let changed = false;
   const hydrated = await Promise.all(
     players.map(async (player) => {
@@ -233,22 +773,562 @@ async function hydratePlayers(players) {
       return next;
     })
   );
-  if (changed) savePlayers(hydrated);
+  if (changed) savePlayers(hydrated, rosterId);
   return hydrated;
 }
 
+function loadScheduleFile() {
+  try {
+    const raw = fs.readFileSync(SCHEDULE_FILE, 'utf8');
+    return JSON.parse(raw) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveScheduleFile(data) {
+  fs.writeFileSync(SCHEDULE_FILE, JSON.stringify(data, null, 2));
+}
+
+function parseClockTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function normalizeScheduleConfig(input) {
+  const raw = input && typeof input === 'object' ? input : {};
+  const quiet = raw.quietHours && typeof raw.quietHours === 'object' ? raw.quietHours : {};
+  const servers = Array.isArray(raw.servers) && raw.servers.length ? normalizeServerList(raw.servers) : null;
+  const config = {
+    enabled: raw.enabled === true,
+    intervalMinutes: raw.intervalMinutes != null ? Number(raw.intervalMinutes) : 60,
+    servers: servers || getAllowedServers(),
+    strategy: raw.strategy === 'perPlayer' ? 'perPlayer' : 'perTab',
+    quietHours: {
+      enabled: quiet.enabled === true,
+      start: quiet.start != null ? String(quiet.start) : '02:00',
+      end: quiet.end != null ? String(quiet.end) : '08:00',
+      timezone: quiet.timezone != null ? String(quiet.timezone) : 'America/New_York',
+    },
+  };
+  if (
+    !Number.isInteger(config.intervalMinutes) ||
+    config.intervalMinutes < MIN_SCHEDULE_INTERVAL_MINUTES ||
+    config.intervalMinutes > MAX_SCHEDULE_INTERVAL_MINUTES
+  ) {
+    throw new Error(
+      `intervalMinutes must be between ${MIN_SCHEDULE_INTERVAL_MINUTES} and ${MAX_SCHEDULE_INTERVAL_MINUTES}`
+    );
+  }
+  if (parseClockTime(config.quietHours.start) == null || parseClockTime(config.quietHours.end) == null) {
+    throw new Error('quietHours start and end must be HH:MM');
+  }
+  if (!isValidTimeZone(config.quietHours.timezone)) {
+    throw new Error(`Unknown timezone: ${config.quietHours.timezone}`);
+  }
+  return config;
+}
+
+function loadScheduleConfig() {
+  try {
+    return normalizeScheduleConfig(loadScheduleFile().config);
+  } catch (err) {
+    console.warn(`[schedule] invalid config: ${err.message}`);
+    return normalizeScheduleConfig(null);
+  }
+}
+
+// Returns how long until quiet hours end, or 0 when outside them.
+function getQuietTimeRemainingMs(config, at = Date.now()) {
+  if (!config.quietHours.enabled) return 0;
+  const { hour, minute } = getZonedParts(at, config.quietHours.timezone);
+  const now = hour * 60 + minute;
+  const start = parseClockTime(config.quietHours.start);
+  const end = parseClockTime(config.quietHours.end);
+  if (start === end) return 0;
+  const inQuiet = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inQuiet) return 0;
+  return (((end - now + 24 * 60) % (24 * 60)) || 24 * 60) * 60 * 1000;
+}
+
+const savedScheduleState = loadScheduleFile().state || {};
+const scheduleState = {
+  lastRunAt: savedScheduleState.lastRunAt || null,
+  lastResults: savedScheduleState.lastResults || {},
+  nextRunAt: null,
+  running: false,
+  timer: null,
+};
+
+function persistScheduleState() {
+  saveScheduleFile({
+    ...loadScheduleFile(),
+    state: { lastRunAt: scheduleState.lastRunAt, lastResults: scheduleState.lastResults },
+  });
+}
+
+function describeSchedule() {
+  return {
+    ...loadScheduleConfig(),
+    lastRunAt: scheduleState.lastRunAt,
+    nextRunAt: scheduleState.nextRunAt,
+    running: scheduleState.running,
+    lastResults: scheduleState.lastResults,
+  };
+}
+
+function planScheduledRefresh(delayMs = null) {
+  if (scheduleState.timer) clearTimeout(scheduleState.timer);
+  scheduleState.timer = null;
+  scheduleState.nextRunAt = null;
+  const config = loadScheduleConfig();
+  if (!config.enabled) return;
+  const intervalMs = config.intervalMinutes * 60 * 1000;
+  const dueAt = scheduleState.lastRunAt ? scheduleState.lastRunAt + intervalMs : Date.now() + intervalMs;
+  const wait = delayMs != null ? delayMs : Math.max(0, dueAt - Date.now());
+  scheduleState.nextRunAt = Date.now() + wait;
+  scheduleState.timer = setTimeout(runScheduledRefresh, wait);
+}
+
+async function runScheduledRefresh() {
+  const config = loadScheduleConfig();
+  if (!config.enabled) return planScheduledRefresh();
+  const quietMs = getQuietTimeRemainingMs(config);
+  if (quietMs > 0) {
+    console.log('[schedule] quiet hours, postponing run');
+    return planScheduledRefresh(quietMs);
+  }
+  scheduleState.running = true;
+  try {
+    const allRosters = loadRosters().rosters;
+    for (const serverName of config.servers) {
+      const startedAt = Date.now();
+      const rosters = allRosters.filter(
+        (roster) => playersForServer(roster.players || [], serverName).length >= MIN_COMPARE_PLAYERS
+      );
+      if (!rosters.length) {
+        scheduleState.lastResults[serverName] = {
+          at: startedAt,
+          ok: false,
+          error: `Add at least ${MIN_COMPARE_PLAYERS} players on ${serverName}`,
+        };
+        continue;
+      }
+      const results = {};
+      for (const roster of rosters) {
+        const rosterStartedAt = Date.now();
+        const { job } = refreshQueue.enqueue({
+          type: 'full',
+          serverName,
+          rosterId: roster.id,
+          source: 'schedule',
+          params: { strategy: config.strategy },
+        });
+        try {
+          await refreshQueue.wait(job);
+          results[roster.id] = { ok: true, jobId: job.id, durationMs: Date.now() - rosterStartedAt };
+        } catch (err) {
+          results[roster.id] = { ok: false, jobId: job.id, error: err.message || 'Failed' };
+        }
+      }
+      const failed = Object.values(results).find((result) => !result.ok);
+      scheduleState.lastResults[serverName] = {
+        at: startedAt,
+        ok: !failed,
+        error: failed ? failed.error : undefined,
+        durationMs: Date.now() - startedAt,
+        rosters: results,
+      };
+    }
+  } finally {
+    scheduleState.running = false;
+    scheduleState.lastRunAt = Date.now();
+    persistScheduleState();
+    planScheduledRefresh();
+  }
+}
+
+// The event stream is public, so requester addresses are left out like in /api/audit for non-admins.
+const auditLog = createAuditLog({
+  file: AUDIT_FILE,
+  onRecord: (entry) => broadcast('audit', { ...entry, requester: { ...entry.requester, ip: null } }),
+});
+const JOB_OUTCOMES = { completed: 'ok', failed: 'error', cancelled: 'cancelled' };
+
+function getRequester(req) {
+  let user = 'anonymous';
+  if (adminAuth.enabled) user = adminAuth.isAdmin(req) ? 'admin' : 'viewer';
+  return { ip: req.ip || req.socket?.remoteAddress || null, user };
+}
+
+function describeAuditPlayer(player) {
+  if (!player) return {};
+  return {
+    playerId: player.id || null,
+    steamId: player.steamId || null,
+    playerName: player.displayName || player.steamUrl || null,
+  };
+}
+
+function auditRequest(req, entry) {
+  return auditLog.record({ ...entry, requester: getRequester(req) });
+}
+
+function auditFinishedJob(job) {
+  const outcome = JOB_OUTCOMES[job.state];
+  if (!outcome) return;
+  auditLog.record({
+    action: `refresh.${job.type}`,
+    serverName: job.serverName,
+    rosterId: job.rosterId,
+    steamIds: job.steamIds,
+    jobId: job.id,
+    source: job.source,
+    requester: refreshQueue.get(job.id)?.requestedBy || {
+      ip: null,
+      user: job.source === 'schedule' ? 'scheduler' : 'system',
+    },
+    outcome,
+    error: job.error || null,
+    durationMs: job.startedAt ? job.finishedAt - job.startedAt : null,
+  });
+}
+
+function observeFinishedJob(job) {
+  const outcome = JOB_OUTCOMES[job.state];
+  if (!outcome) return;
+  refreshJobs.inc({ type: job.type, source: job.source, outcome });
+  if (job.startedAt) refreshJobDuration.observe({ type: job.type, outcome }, (job.finishedAt - job.startedAt) / 1000);
+}
+
+function observeScrape(kind, serverName, result) {
+  const timings = result?.timings;
+  if (timings) {
+    scrapeDuration.observe({ kind, strategy: timings.strategy }, timings.durationMs / 1000);
+    scrapeRetries.inc({ strategy: timings.strategy }, timings.retries || 0);
+    Object.entries(timings.tabs || {}).forEach(([tab, ms]) => {
+      scrapeTabDuration.observe({ strategy: timings.strategy, tab }, ms / 1000);
+    });
+  }
+  scrapePlayersMissing.inc({ server: serverName }, (result?.missing || []).length);
+}
+
+function loadWebhooks() {
+  try {
+    const raw = fs.readFileSync(WEBHOOKS_FILE, 'utf8');
+    return normalizeWebhooks(JSON.parse(raw));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[webhooks] ignoring ${WEBHOOKS_FILE}: ${err.message}`);
+    return [];
+  }
+}
+
+function saveWebhooks(webhooks) {
+  fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify({ webhooks }, null, 2));
+}
+
+const webhookDispatcher = createWebhookDispatcher({
+  file: WEBHOOK_DELIVERIES_FILE,
+  getWebhooks: loadWebhooks,
+  onDelivery: (delivery) => {
+    if (delivery.outcome === 'ok') return;
+    console.warn(`[webhooks] ${delivery.webhookName} ${delivery.event} failed: ${delivery.error}`);
+  },
+});
+
+// The first-ranked player on each metric; a tie at the top means there is no single leader.
+function findMetricLeaders(response) {
+  const leaders = new Map();
+  Object.entries(response?.tabs || {}).forEach(([tab, tabData]) => {
+    (tabData.metrics || []).forEach((metric) => {
+      const [top] = rankMetric(response.profiles, tabData, metric);
+      if (!top || top.rank !== 1 || top.tied || !(top.raw > 0)) return;
+      const { profile } = top;
+      leaders.set(`${tab}\u0000${metric}`, {
+        tab,
+        metric,
+        leader: {
+          playerId: profile.playerId || null,
+          steamId: profile.steamId || null,
+          name: profile.nickname || profile.displayName || profile.fallbackName || null,
+          value: top.raw,
+        },
+      });
+    });
+  });
+  return leaders;
+}
+
+function findLeaderChanges(before, after) {
+  const previous = findMetricLeaders(before);
+  const changes = [];
+  findMetricLeaders(after).forEach(({ tab, metric, leader }, key) => {
+    const old = previous.get(key)?.leader;
+    if (!old || old.steamId === leader.steamId) return;
+    changes.push({ tab, metric, previous: old, current: leader });
+  });
+  return changes;
+}
+
+function buildRosterResponse(serverName, players) {
+  return buildResponseFromCache(getServerCache(loadCacheStore(), serverName), players);
+}
+
+function notifyJobWebhooks(job) {
+  // Server discovery has no roster behind it, so there is nothing for a webhook to report.
+  if (job.type === 'servers') return;
+  if (job.state !== 'completed' && job.state !== 'failed') return;
+  const base = {
+    serverName: job.serverName,
+    rosterId: job.rosterId,
+    rosterName: getRoster(loadRosters(), job.rosterId)?.name || null,
+    jobId: job.id,
+    type: job.type,
+    source: job.source,
+    durationMs: job.startedAt ? job.finishedAt - job.startedAt : null,
+  };
+  if (job.state === 'failed') {
+    webhookDispatcher.dispatch('refresh.failed', { ...base, error: job.error });
+    return;
+  }
+  const result = refreshQueue.get(job.id)?.result || {};
+  webhookDispatcher.dispatch('refresh.completed', {
+    ...base,
+    players: job.type === 'full' ? (result.profiles || []).length : job.steamIds.length,
+    missing: (result.missing || []).map((item) => item.label || item.steamId || item.steamUrl),
+  });
+  if (result.leaderChanges?.length) {
+    webhookDispatcher.dispatch('leader.changed', { ...base, changes: result.leaderChanges });
+  }
+}
+
+const refreshQueue = createJobQueue({
+  onChange: (job) => {
+    broadcast('job', job);
+    auditFinishedJob(job);
+    observeFinishedJob(job);
+    notifyJobWebhooks(job);
+  },
+  handlers: {
+    full: (job, context) =>
+      runRefreshJob(job, context, async (onStatus) => {
+        const rosterPlayers = await hydratePlayers(loadPlayers(job.rosterId), job.rosterId);
+        const players = playersForServer(rosterPlayers, job.serverName);
+        if (players.length < MIN_COMPARE_PLAYERS) {
+          throw new Error(`Add at least ${MIN_COMPARE_PLAYERS} players on ${job.serverName}`);
+        }
+        const before = buildRosterResponse(job.serverName, players);
+        const result = await runFullRefresh(job.serverName, players, {
+          rosterId: job.rosterId,
+          strategy: job.params.strategy,
+          source: job.source,
+          onStatus,
+          signal: context.signal,
+        });
+        return { ...result, leaderChanges: findLeaderChanges(before, buildRosterResponse(job.serverName, players)) };
+      }),
+    player: (job, context) =>
+      runRefreshJob(job, context, async (onStatus) => {
+        const players = await hydratePlayers(loadPlayers(job.rosterId), job.rosterId);
+        const player = players.find((p) => job.steamIds.includes(String(p.steamId)));
+        if (!player) throw new Error('Player not found');
+        onStatus(`Refreshing ${player.displayName || player.steamId}...`);
+        const rosterPlayers = playersForServer(players, job.serverName);
+        const before = buildRosterResponse(job.serverName, rosterPlayers);
+        await runPlayerRefresh(job.serverName, player, { onStatus, signal: context.signal });
+        const leaderChanges = findLeaderChanges(before, buildRosterResponse(job.serverName, rosterPlayers));
+        return { serverName: job.serverName, steamIds: job.steamIds, leaderChanges };
+      }),
+    servers: (job, context) =>
+      runRefreshJob(job, context, async (onStatus) => {
+        const servers = await discoverServers(onStatus, { signal: context.signal });
+        if (!servers.length) throw new Error('No servers found on Moose');
+        const list = saveServerList(servers);
+        broadcast('servers', list);
+        return { servers: list.servers, defaultServer: getDefaultServer(list.servers), updatedAt: list.updatedAt };
+      }),
+  },
+});
+
+async function runRefreshJob(job, context, run) {
+  const onStatus = (message, progress) => {
+    setRefreshStatus(message, progress);
+    context.report(message, progress);
+  };
+  onStatus('Starting refresh...');
+  try {
+    const result = await run(onStatus);
+    onStatus('Refresh complete.');
+    return result;
+  } catch (err) {
+    if (context.signal.aborted) {
+      console.log(`[job ${job.type}] cancelled server=${job.serverName}`);
+      setRefreshStatus('Refresh cancelled.');
+      throw err;
+    }
+    console.error(`[job ${job.type}] error`, err?.stack || err);
+    onStatus(`Refresh error: ${err.message || 'Failed'}`);
+    throw err;
+  }
+}
+
+const adminAuth = createAdminAuth({
+  token: config.adminToken,
+  sessionTtlMs: config.adminSessionHours * 60 * 60 * 1000,
+});
+
 const app = express();
-let refreshInFlight = false;
+// Routes are labelled by their pattern (e.g. /api/players/:id) so ids don't explode the series count.
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    let route = 'unmatched';
+    if (req.route) route = `${req.baseUrl}${req.route.path}`;
+    else if (res.statusCode < 400) route = 'static';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+});
 app.use(express.json());
 app.use((req, res, next) => {
   res.set('Cache-Control', 'no-store');
   next();
 });
-app.use(express.static(__dirname));
+// Data, config and source files live next to the pages, so only the pages themselves are served from here.
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+PUBLIC_PAGES.forEach((page) => {
+  app.get(`/${page}`, (req, res) => {
+    res.sendFile(path.join(__dirname, page));
+  });
+});
+
+app.get('/player/:steamId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'player.html'));
+});
+
+app.get('/api/session', (req, res) => {
+  res.json(adminAuth.describe(req));
+});
+app.post('/api/session', adminAuth.login);
+app.delete('/api/session', adminAuth.logout);
+app.use('/api', adminAuth.requireAdminForWrites);
+
+app.get('/api/rosters', (req, res) => {
+  const store = loadRosters();
+  res.json({
+    defaultRosterId: store.defaultRosterId,
+    rosters: store.rosters.map((roster) => describeRoster(roster, store)),
+  });
+});
+
+app.post('/api/rosters', (req, res) => {
+  const store = loadRosters();
+  let name;
+  try {
+    name = normalizeRosterName(req.body?.name);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (store.rosters.some((roster) => roster.name.toLowerCase() === name.toLowerCase())) {
+    return res.status(400).json({ error: 'Roster name already in use' });
+  }
+  const roster = buildRoster(buildRosterId(name, store), name);
+  store.rosters.push(roster);
+  saveRosters(store);
+  broadcast('rosters', { action: 'create', rosterId: roster.id, at: Date.now() });
+  auditRequest(req, { action: 'roster.create', rosterId: roster.id, details: { name: roster.name } });
+  res.status(201).json(describeRoster(roster, store));
+});
+
+app.get('/api/rosters/:rosterId', async (req, res) => {
+  const store = loadRosters();
+  const roster = getRoster(store, req.params.rosterId);
+  if (!roster) return res.status(404).json({ error: 'Roster not found' });
+  const players = await hydratePlayers(roster.players || [], roster.id);
+  res.json({ ...describeRoster(roster, store), players });
+});
+
+app.put('/api/rosters/:rosterId', (req, res) => {
+  const store = loadRosters();
+  const roster = getRoster(store, req.params.rosterId);
+  if (!roster) return res.status(404).json({ error: 'Roster not found' });
+  if (req.body?.name != null) {
+    let name;
+    try {
+      name = normalizeRosterName(req.body.name);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const taken = store.rosters.some((r) => r.id !== roster.id && r.name.toLowerCase() === name.toLowerCase());
+    if (taken) return res.status(400).json({ error: 'Roster name already in use' });
+    roster.name = name;
+  }
+  if (req.body?.isDefault === true) store.defaultRosterId = roster.id;
+  roster.updatedAt = Date.now();
+  saveRosters(store);
+  broadcast('rosters', { action: 'update', rosterId: roster.id, at: Date.now() });
+  auditRequest(req, {
+    action: 'roster.update',
+    rosterId: roster.id,
+    details: { name: roster.name, isDefault: store.defaultRosterId === roster.id },
+  });
+  res.json(describeRoster(roster, store));
+});
+
+app.delete('/api/rosters/:rosterId', (req, res) => {
+  const store = loadRosters();
+  const roster = getRoster(store, req.params.rosterId);
+  if (!roster) return res.status(404).json({ error: 'Roster not found' });
+  if (store.rosters.length === 1) return res.status(400).json({ error: 'Cannot delete the last roster' });
+  store.rosters = store.rosters.filter((r) => r.id !== roster.id);
+  if (store.defaultRosterId === roster.id) store.defaultRosterId = store.rosters[0].id;
+  saveRosters(store);
+  broadcast('rosters', { action: 'delete', rosterId: roster.id, at: Date.now() });
+  auditRequest(req, {
+    action: 'roster.delete',
+    rosterId: roster.id,
+    details: { name: roster.name, players: (roster.players || []).length },
+  });
+  res.json({
+    defaultRosterId: store.defaultRosterId,
+    rosters: store.rosters.map((r) => describeRoster(r, store)),
+  });
+});
 
 app.get('/api/players', async (req, res) => {
-  const players = await hydratePlayers(loadPlayers());
-  res.json(withPlayerIds(players));
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const players = await hydratePlayers(loadPlayers(roster.id), roster.id);
+  res.json(players);
+});
+
+app.get('/api/config', (req, res) => {
+  res.json(describeConfig(config));
+});
+
+app.get('/api/servers', (req, res) => {
+  const list = loadServerList();
+  res.json({ servers: list.servers, defaultServer: getDefaultServer(list.servers), updatedAt: list.updatedAt || null });
+});
+
+// Discovery launches its own browser, so it waits its turn in the refresh queue like any scrape.
+app.post('/api/servers/refresh', async (req, res) => {
+  const { job, deduplicated } = refreshQueue.enqueue({ type: 'servers', requestedBy: getRequester(req) });
+  if (req.body?.wait === false) {
+    return res.status(202).json({ ...refreshQueue.describe(job), deduplicated });
+  }
+  try {
+    const response = await refreshQueue.wait(job);
+    res.json({ ...response, jobId: job.id });
+  } catch (err) {
+    const status = job.state === 'cancelled' ? 409 : 502;
+    res.status(status).json({ error: err.message || 'Failed to read servers from Moose', jobId: job.id });
+  }
 });
 
 app.get('/api/health', (req, res) => {
@@ -259,98 +1339,237 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 app.post('/api/players', async (req, res) => {
   const { steamUrl, serverName } = req.body || {};
   if (!steamUrl) return res.status(400).json({ error: 'steamUrl required' });
-  const players = loadPlayers();
-  if (players.length >= MAX_PLAYERS) return res.status(400).json({ error: 'Max 10 players' });
-  if (players.some((p) => p.steamUrl === steamUrl)) return res.status(400).json({ error: 'Player already added' });
-  const normalized = await normalizePlayer(steamUrl);
-  players.push(normalized);
-  savePlayers(players);
-  try {
-    const server = normalizeServerName(serverName);
+  // New players follow every server unless the client lists the ones they belong to.
+  let servers = null;
+  try {
+    servers = normalizeServerList(req.body.servers);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const rosterId = roster.id;
+  const server = normalizeServerName(serverName);
+  const players = loadPlayers(rosterId);
+  const existing = players.find((p) => p.steamUrl === steamUrl);
+  let normalized = existing;
+  if (existing) {
+    // Adding a known player from another server enables them there instead of duplicating the entry.
+    if (!serverName || isPlayerOnServer(existing, server)) {
+      return res.status(400).json({ error: 'Player already added' });
+    }
+    existing.servers = normalizeServerList([...existing.servers, server]);
+    if (!existing.servers) delete existing.servers;
+  } else {
+    if (players.length >= MAX_PLAYERS) return res.status(400).json({ error: `Max ${MAX_PLAYERS} players` });
+    normalized = assignPlayerId(await normalizePlayer(steamUrl), players);
+    if (servers) normalized.servers = servers;
+    players.push(normalized);
+  }
+  savePlayers(players, rosterId);
+  broadcast('roster', {
+    action: 'add',
+    rosterId,
+    playerId: normalized.id,
+    steamId: normalized.steamId || null,
+    at: Date.now(),
+  });
+  auditRequest(req, {
+    action: existing ? 'player.enable' : 'player.add',
+    rosterId,
+    serverName: server,
+    ...describeAuditPlayer(normalized),
+  });
+  try {
     if (!isValidSteamId(normalized.steamId)) {
       const store = loadCacheStore();
       const cache = getServerCache(store, server);
-      const hydrated = await hydratePlayers(players);
+      const hydrated = playersForServer(await hydratePlayers(players, rosterId), server);
       return res.json(buildResponseFromCache(cache, hydrated) || buildFallbackResponse(server, hydrated));
     }
-    const result = await scrapePlayers([normalized], server, setRefreshStatus);
-    const store = loadCacheStore();
-    const serverCache = mergePlayerStats(getServerCache(store, server), {
+    const { job } = refreshQueue.enqueue({
+      type: 'player',
       serverName: server,
-      profiles: result.profiles || [],
-      tabs: result.tabs || {},
-      missing: result.missing || [],
-      serverInfo: result.serverInfo || null,
+      rosterId,
+      steamIds: [normalized.steamId],
+      requestedBy: getRequester(req),
     });
-    setServerCache(store, server, serverCache);
-    const response = buildResponseFromCache(serverCache, await hydratePlayers(players));
-    res.json(response);
+    await refreshQueue.wait(job);
+    const hydrated = playersForServer(await hydratePlayers(players, rosterId), server);
+    const response = buildResponseFromCache(getServerCache(loadCacheStore(), server), hydrated);
+    res.json(addDeltas(response));
   } catch (err) {
     console.error(err);
     const store = loadCacheStore();
-    const server = normalizeServerName(serverName);
-    const response = buildResponseFromCache(getServerCache(store, server), await hydratePlayers(players));
+    const hydrated = playersForServer(await hydratePlayers(players, rosterId), server);
+    const response = buildResponseFromCache(getServerCache(store, server), hydrated);
     if (response) return res.json(response);
     res.status(500).json({ error: err.message || 'Failed to add player' });
   }
 });
 
-app.delete('/api/players/:id', (req, res) => {
-  const steamId = req.params.id;
-  const steamUrl = req.query?.steamUrl;
-  const serverName = normalizeServerName(req.query?.serverName);
-  const byIndex = req.query?.byIndex === '1';
-  const players = loadPlayers();
-  const targets = [steamId, steamIdFromUrl(steamUrl)].filter(Boolean);
-  let removed = null;
-  if (byIndex && Number.isInteger(Number(steamId))) {
-    const index = Number(steamId);
-    if (index >= 0 && index < players.length) {
-      removed = players[index];
-      players.splice(index, 1);
+app.get('/api/players/export', (req, res) => {
+  const format = req.query?.format ? String(req.query.format) : 'csv';
+  if (!ROSTER_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${ROSTER_FORMATS.join(', ')}` });
+  }
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  res.type(format === 'json' ? 'application/json' : 'text/csv');
+  res.attachment(`roster-${roster.id}.${format}`);
+  res.send(serializeRoster(loadPlayers(roster.id), format));
+});
+
+// Validates every row (including Steam lookups) before touching the roster, so an import is all or nothing.
+app.post('/api/players/import', express.text({ type: ['text/csv', 'text/plain'] }), async (req, res) => {
+  const isText = typeof req.body === 'string';
+  const body = isText ? {} : req.body || {};
+  const format = String(body.format || req.query?.format || (isText ? 'csv' : body.players ? 'json' : 'csv'));
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const rosterId = roster.id;
+  const server = normalizeServerName(body.serverName || req.query?.serverName);
+  let entries;
+  try {
+    entries = parseRosterImport(isText ? req.body : body.data ?? body.players, format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!entries.length) return res.status(400).json({ error: 'No players to import' });
+
+  const players = loadPlayers(rosterId);
+  const taken = new Set(players.flatMap((p) => [p.steamId, p.steamUrl]).filter(Boolean).map(String));
+  const seen = new Set();
+  const errors = [];
+  const accepted = [];
+  for (const entry of entries) {
+    const rowErrors = validateImportEntry(entry);
+    let servers = null;
+    try {
+      servers = normalizeServerList(entry.servers);
+    } catch (err) {
+      rowErrors.push(err.message);
+    }
+    let steamId = entry.steamId;
+    if (!rowErrors.length && !steamId) {
+      steamId = await resolveSteamId64(entry.steamUrl);
+      if (!isValidSteamId(steamId)) rowErrors.push('Could not resolve a SteamID64 for steamUrl');
+    }
+    if (!rowErrors.length) {
+      const steamUrl = buildSteamUrl(entry.steamUrl, steamId) || entry.steamUrl;
+      if (taken.has(steamId) || (entry.steamUrl && taken.has(entry.steamUrl))) {
+        rowErrors.push('Player already in roster');
+      } else if (seen.has(steamId)) {
+        rowErrors.push('Duplicate player in import');
+      } else {
+        seen.add(steamId);
+        accepted.push({ entry, player: { steamUrl, steamId, displayName: entry.name, servers } });
+      }
+    }
+    if (rowErrors.length) {
+      errors.push({ row: entry.row, input: entry.steamUrl || entry.steamId || entry.name, errors: rowErrors });
     }
   }
-  if (!removed) {
-    const next = players.filter((p) => {
-      const key = p.steamId || steamIdFromUrl(p.steamUrl);
-      return !targets.includes(key);
-    });
-    if (next.length === players.length) return res.json(withPlayerIds(players));
-    removed = players.find((p) => {
-      const key = p.steamId || steamIdFromUrl(p.steamUrl);
-      return targets.includes(key);
-    });
-    players.length = 0;
-    players.push(...next);
+  if (!errors.length && players.length + accepted.length > MAX_PLAYERS) {
+    errors.push({ row: null, input: null, errors: [`Roster would have more than ${MAX_PLAYERS} players`] });
   }
-  savePlayers(players);
-  const store = loadCacheStore();
-  Object.keys(store.servers || {}).forEach((name) => {
-    const updated = removePlayerFromCache(store.servers[name], removed);
-    if (updated) store.servers[name] = updated;
+  if (errors.length) return res.status(400).json({ error: 'Import has invalid rows', imported: 0, errors });
+  if (body.dryRun === true || req.query?.dryRun === '1') {
+    return res.json({ imported: 0, valid: accepted.length, errors: [], dryRun: true });
+  }
+
+  const added = [];
+  accepted.forEach(({ entry, player }) => {
+    const next = assignPlayerId({ ...player, avatarUrl: null }, [...players, ...added]);
+    if (!next.displayName) delete next.displayName;
+    if (!next.servers) delete next.servers;
+    if (entry.nickname) next.nickname = entry.nickname;
+    if (entry.color) next.color = entry.color;
+    added.push(next);
   });
-  saveCache(store);
-  const response = buildResponseFromCache(getServerCache(store, serverName), players);
+  const nextPlayers = [...players, ...added];
+  savePlayers(nextPlayers, rosterId);
+  broadcast('roster', { action: 'import', rosterId, steamId: null, at: Date.now() });
+  auditRequest(req, {
+    action: 'player.import',
+    rosterId,
+    serverName: server,
+    details: { count: added.length, playerIds: added.map((player) => player.id) },
+  });
+  let job = null;
+  if (playersForServer(nextPlayers, server).length >= MIN_COMPARE_PLAYERS) {
+    ({ job } = refreshQueue.enqueue({
+      type: 'full',
+      serverName: server,
+      rosterId,
+      source: 'import',
+      requestedBy: getRequester(req),
+    }));
+  }
+  res.status(201).json({ imported: added.length, players: added, errors: [], jobId: job ? job.id : null });
+});
+
+app.delete('/api/players/:id', (req, res) => {
+  const serverName = normalizeServerName(req.query?.serverName);
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const rosterId = roster.id;
+  const players = loadPlayers(rosterId);
+  const index = findPlayerIndex(players, req.params.id);
+  if (index < 0) return res.status(404).json({ error: 'Player not found' });
+  const [removed] = players.splice(index, 1);
+  savePlayers(players, rosterId);
+  broadcast('roster', {
+    action: 'remove',
+    rosterId,
+    playerId: removed.id,
+    steamId: removed.steamId || null,
+    at: Date.now(),
+  });
+  auditRequest(req, { action: 'player.delete', rosterId, serverName, ...describeAuditPlayer(removed) });
+  const store = loadCacheStore();
+  // Cached stats are shared between rosters, so only drop them once no roster tracks the player.
+  if (!isPlayerInAnyRoster(removed)) {
+    Object.keys(store.servers || {}).forEach((name) => {
+      const updated = removePlayerFromCache(store.servers[name], removed);
+      if (updated) store.servers[name] = updated;
+    });
+    saveCache(store);
+  }
+  const response = buildResponseFromCache(getServerCache(store, serverName), playersForServer(players, serverName));
   if (response) return res.json(response);
-  res.json(withPlayerIds(players));
+  res.json(players);
 });
 
 app.put('/api/players/:id', async (req, res) => {
-  const id = Number(req.params.id);
-  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid player id' });
   const { steamUrl, steamId, steamName, serverName } = req.body || {};
   const nextUrl = steamUrl != null ? String(steamUrl).trim() : null;
   const nextId = steamId != null ? String(steamId).trim() : null;
   const nextName = steamName != null ? String(steamName).trim() : null;
-  if (!nextUrl && !nextId && !nextName) {
-    return res.status(400).json({ error: 'steamName, steamUrl, or steamId required' });
+  const hasServers = Object.prototype.hasOwnProperty.call(req.body || {}, 'servers');
+  if (!nextUrl && !nextId && !nextName && !hasServers) {
+    return res.status(400).json({ error: 'steamName, steamUrl, steamId, or servers required' });
+  }
+  let nextServers = null;
+  try {
+    nextServers = hasServers ? normalizeServerList(req.body.servers) : null;
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  const players = loadPlayers();
-  if (id < 0 || id >= players.length) return res.status(404).json({ error: 'Player not found' });
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const rosterId = roster.id;
+  const players = loadPlayers(rosterId);
+  const id = findPlayerIndex(players, req.params.id);
+  if (id < 0) return res.status(404).json({ error: 'Player not found' });
 
   const resolvedId = !nextId && nextUrl ? await resolveSteamId64(nextUrl) : null;
   const finalId = nextId || resolvedId || players[id].steamId;
@@ -361,107 +1580,139 @@ app.put('/api/players/:id', async (req, res) => {
     steamId: finalId || players[id].steamId,
     displayName: nextName || players[id].displayName,
   };
+  if (hasServers) {
+    if (nextServers) updated.servers = nextServers;
+    else delete updated.servers;
+  }
+  const previous = players[id];
   players[id] = updated;
-  savePlayers(players);
-  const hydrated = await hydratePlayers(players);
+  savePlayers(players, rosterId);
+  broadcast('roster', {
+    action: 'update',
+    rosterId,
+    playerId: updated.id,
+    steamId: updated.steamId || null,
+    at: Date.now(),
+  });
+  const changes = ['steamUrl', 'steamId', 'displayName', 'servers'].filter(
+    (key) => JSON.stringify(previous[key] ?? null) !== JSON.stringify(updated[key] ?? null)
+  );
+  auditRequest(req, { action: 'player.update', rosterId, ...describeAuditPlayer(updated), details: { changes } });
+  const hydrated = await hydratePlayers(players, rosterId);
+  const allPlayers = loadAllRosterPlayers();
   const store = loadCacheStore();
   Object.keys(store.servers || {}).forEach((name) => {
     const cache = store.servers[name];
     if (!cache) return;
-    cache.profiles = mergeCachedProfiles(cache.profiles || [], hydrated);
+    cache.profiles = mergeCachedProfiles(cache.profiles || [], allPlayers);
     cache.updatedAt = Date.now();
   });
   saveCache(store);
-  const response = buildResponseFromCache(getServerCache(store, normalizeServerName(serverName)), hydrated);
+  const server = normalizeServerName(serverName);
+  const response = buildResponseFromCache(getServerCache(store, server), playersForServer(hydrated, server));
   if (response) return res.json(response);
-  res.json(withPlayerIds(hydrated));
+  res.json(hydrated);
 });
 
 app.post('/api/players/:id/refresh', async (req, res) => {
-  const id = Number(req.params.id);
-  if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid player id' });
-  if (refreshInFlight) return res.status(429).json({ error: 'Refresh already in progress' });
   const serverName = normalizeServerName(req.body?.serverName);
-  const players = await hydratePlayers(loadPlayers());
-  if (id < 0 || id >= players.length) return res.status(404).json({ error: 'Player not found' });
-  const player = players[id];
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const players = await hydratePlayers(loadPlayers(roster.id), roster.id);
+  const player = players[findPlayerIndex(players, req.params.id)];
+  if (!player) return res.status(404).json({ error: 'Player not found' });
   if (!isValidSteamId(player.steamId)) {
     return res.status(400).json({ error: 'SteamID64 required' });
   }
-  refreshInFlight = true;
-  setRefreshStatus(`Refreshing player ${id + 1}...`);
+  if (!isPlayerOnServer(player, serverName)) {
+    return res.status(400).json({ error: `Player is not enabled on ${serverName}` });
+  }
+  let since = null;
   try {
-    const result = await scrapePlayers([player], serverName, setRefreshStatus);
-    const store = loadCacheStore();
-    const serverCache = mergePlayerStats(getServerCache(store, serverName), {
-      serverName,
-      profiles: result.profiles || [],
-      tabs: result.tabs || {},
-      missing: result.missing || [],
-      serverInfo: result.serverInfo || null,
-    });
-    setServerCache(store, serverName, serverCache);
-    const response = buildResponseFromCache(serverCache, players);
-    res.json(response);
-    setRefreshStatus('Refresh complete.');
+    since = parseSince(req.body?.since);
   } catch (err) {
-    console.error('[player refresh] error', err?.stack || err);
-    setRefreshStatus(`Refresh error: ${err.message || 'Failed'}`);
-    res.status(500).json({ error: err.message || 'Failed to refresh player' });
-  } finally {
-    refreshInFlight = false;
+    return res.status(400).json({ error: err.message });
+  }
+  const { job } = refreshQueue.enqueue({
+    type: 'player',
+    serverName,
+    rosterId: roster.id,
+    steamIds: [player.steamId],
+    requestedBy: getRequester(req),
+  });
+  try {
+    await refreshQueue.wait(job);
+    const serverPlayers = playersForServer(players, serverName);
+    const response = buildResponseFromCache(getServerCache(loadCacheStore(), serverName), serverPlayers);
+    res.json({ ...addDeltas(response, { since }), jobId: job.id });
+  } catch (err) {
+    const status = job.state === 'cancelled' ? 409 : 500;
+    res.status(status).json({ error: err.message || 'Failed to refresh player', jobId: job.id });
   }
 });
 
+// Every cached server the player is enabled on, ranked against the rest of their roster there.
+app.get('/api/players/:steamId/stats', async (req, res) => {
+  const steamId = String(req.params.steamId);
+  if (!isValidSteamId(steamId)) return res.status(400).json({ error: 'SteamID64 required' });
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const players = await hydratePlayers(loadPlayers(roster.id), roster.id);
+  const player = players.find((item) => String(item.steamId) === steamId);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  const store = loadCacheStore();
+  const servers = Object.keys(store.servers || {})
+    .filter((serverName) => isPlayerOnServer(player, serverName))
+    .map((serverName) => {
+      const response = buildResponseFromCache(getServerCache(store, serverName), playersForServer(players, serverName));
+      return buildPlayerServerStats(addDeltas(response), steamId);
+    })
+    .filter(Boolean);
+  const updatedAt = servers.reduce((latest, entry) => Math.max(latest, entry.updatedAt || 0), 0);
+  res.json({
+    steamId,
+    playerId: player.id || null,
+    rosterId: roster.id,
+    rosterName: roster.name || null,
+    displayName: player.displayName || null,
+    nickname: player.nickname || null,
+    avatarUrl: player.avatarUrl || null,
+    steamUrl: player.steamUrl || `https://steamcommunity.com/profiles/${steamId}`,
+    updatedAt: updatedAt || null,
+    servers,
+    nameHistory: buildNameHistory(loadHistory().servers, steamId),
+  });
+});
+
 app.post('/api/players/reorder', async (req, res) => {
   const order = Array.isArray(req.body?.order) ? req.body.order.map(String) : [];
   const serverName = normalizeServerName(req.body?.serverName);
   if (!order.length) return res.status(400).json({ error: 'order required' });
-  const players = loadPlayers();
-  const byId = new Map();
-  players.forEach((player) => {
-    const id = player.steamId ? String(player.steamId) : steamIdFromUrl(player.steamUrl);
-    if (id) byId.set(id, player);
-  });
-  const ordered = order.map((id) => byId.get(String(id))).filter(Boolean);
-  const remainder = players.filter((player) => {
-    const id = player.steamId ? String(player.steamId) : steamIdFromUrl(player.steamUrl);
-    return !order.includes(String(id));
-  });
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const rosterId = roster.id;
+  const players = loadPlayers(rosterId);
+  const ordered = [...new Set(order.map((id) => players[findPlayerIndex(players, id)]).filter(Boolean))];
+  const remainder = players.filter((player) => !ordered.includes(player));
   const next = [...ordered, ...remainder];
-  savePlayers(next);
-  const hydrated = await hydratePlayers(next);
+  savePlayers(next, rosterId);
+  broadcast('roster', { action: 'reorder', rosterId, steamId: null, at: Date.now() });
+  auditRequest(req, { action: 'player.reorder', rosterId, details: { order: next.map((player) => player.id) } });
+  const hydrated = await hydratePlayers(next, rosterId);
   const store = loadCacheStore();
-  Object.keys(store.servers || {}).forEach((name) => {
-    const cache = store.servers[name];
-    if (!cache || !Array.isArray(cache.profiles)) return;
-    const byCacheId = new Map();
-    cache.profiles.forEach((profile) => {
-      const id = profile.steamId ? String(profile.steamId) : steamIdFromUrl(profile.steamUrl);
-      if (id) byCacheId.set(id, profile);
-    });
-    const orderedProfiles = order.map((id) => byCacheId.get(String(id))).filter(Boolean);
-    const restProfiles = cache.profiles.filter((profile) => {
-      const id = profile.steamId ? String(profile.steamId) : steamIdFromUrl(profile.steamUrl);
-      return !order.includes(String(id));
-    });
-    cache.profiles = [...orderedProfiles, ...restProfiles];
-    cache.updatedAt = Date.now();
-  });
-  saveCache(store);
-  const response = buildResponseFromCache(getServerCache(store, serverName), hydrated);
+  const response = buildResponseFromCache(getServerCache(store, serverName), playersForServer(hydrated, serverName));
   if (response) return res.json(response);
-  res.json(withPlayerIds(hydrated));
+  res.json(hydrated);
 });
 
 function attachPlayerIds(profiles, players) {
   const bySteamId = new Map();
   const bySteamUrl = new Map();
-  players.forEach((player, index) => {
+  players.forEach((player) => {
     const id = player.steamId ? String(player.steamId) : null;
     const url = player.steamUrl ? String(player.steamUrl) : null;
-    if (id) bySteamId.set(id, { index, player });
-    if (url) bySteamUrl.set(url, { index, player });
+    if (id) bySteamId.set(id, player);
+    if (url) bySteamUrl.set(url, player);
   });
   return profiles.map((profile) => {
     const match =
@@ -471,9 +1722,12 @@ function attachPlayerIds(profiles, players) {
     if (!match) return profile;
     return {
       ...profile,
-      playerId: match.index,
-      storedSteamUrl: match.player.steamUrl || null,
-      storedSteamId: match.player.steamId || null,
+      playerId: match.id,
+      storedSteamUrl: match.steamUrl || null,
+      storedSteamId: match.steamId || null,
+      servers: match.servers || null,
+      nickname: match.nickname || null,
+      color: match.color || profile.color,
     };
   });
 }
@@ -508,9 +1762,7 @@ function mergeCachedProfiles(profiles, players) {
 }
 
 function filterStatsToProfiles(tabs, profiles) {
-  const keys = new Set(
-    (profiles || []).map((p) => p.displayName || p.fallbackName || p.steamId || p.steamUrl).filter(Boolean)
-  );
+  const keys = new Set((profiles || []).map(getStatsKey).filter(Boolean));
   const nextTabs = {};
   Object.entries(tabs || {}).forEach(([tabKey, tabData]) => {
     const nextStats = {};
@@ -525,6 +1777,66 @@ function filterStatsToProfiles(tabs, profiles) {
   return nextTabs;
 }
 
+function loadDerivedMetrics() {
+  try {
+    const raw = fs.readFileSync(DERIVED_METRICS_FILE, 'utf8');
+    return normalizeDerivedMetrics(JSON.parse(raw));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[metrics] ignoring ${DERIVED_METRICS_FILE}: ${err.message}`);
+    return [];
+  }
+}
+
+function saveDerivedMetrics(metrics) {
+  fs.writeFileSync(DERIVED_METRICS_FILE, JSON.stringify({ metrics }, null, 2));
+}
+
+// Scraped metric names per tab across every cached server and wipe, used to check formula references.
+function getKnownMetrics() {
+  const store = loadCacheStore();
+  const caches = [
+    ...Object.values(store.servers || {}),
+    ...Object.values(store.archive || {}).flatMap((wipes) => Object.values(wipes || {})),
+  ];
+  const known = {};
+  caches.forEach((cache) => {
+    Object.entries(cache?.tabs || {}).forEach(([tab, tabData]) => {
+      known[tab] = Array.from(new Set([...(known[tab] || []), ...(tabData?.metrics || [])]));
+    });
+  });
+  return known;
+}
+
+// Derived metrics are computed on read, so formula changes also apply to cached and archived stats.
+function prepareTabs(tabs, profiles) {
+  return rankTabs(applyDerivedMetrics(tabs, loadDerivedMetrics()), profiles);
+}
+
+// Adds `tabs[tab].deltas` (change per player and metric) against the previous refresh, or against the history
+// snapshot closest to `since`. Only snapshots from the response's wipe are compared.
+function addDeltas(response, options = {}) {
+  if (!response?.tabs) return response;
+  const { since = null } = options;
+  const wipeId = options.wipeId || response.wipe?.id || null;
+  const snapshots = loadHistory().servers[response.serverName] || [];
+  const keys = (response.profiles || []).map(getStatsKey).filter(Boolean);
+  const baselines = findBaselines(snapshots, keys, { since, wipeId });
+  const deltaTabs = buildDeltaTabs(response.tabs, baselines, loadDerivedMetrics());
+  const tabs = {};
+  Object.entries(response.tabs).forEach(([tabKey, tabData]) => {
+    tabs[tabKey] = { ...tabData, deltas: deltaTabs[tabKey] || {} };
+  });
+  const baselineAt = {};
+  baselines.forEach((baseline, key) => {
+    baselineAt[key] = baseline.at;
+  });
+  return {
+    ...response,
+    tabs,
+    deltas: { mode: since == null ? 'previous' : 'since', since, baselineAt },
+  };
+}
+
 function buildResponseFromCache(cache, players) {
   if (!cache) return null;
   const mergedProfiles = mergeCachedProfiles(cache.profiles || [], players);
@@ -547,6 +1859,17 @@ function buildResponseFromCache(cache, players) {
       avatarUrl: player.avatarUrl || FALLBACK_AVATAR,
     }));
   const combinedProfiles = [...mergedProfiles, ...missingProfiles];
+  const playerOrder = new Map();
+  (players || []).forEach((player, index) => {
+    if (player.steamId) playerOrder.set(`id:${player.steamId}`, index);
+    if (player.steamUrl) playerOrder.set(`url:${player.steamUrl}`, index);
+  });
+  const orderOf = (profile) =>
+    playerOrder.get(`id:${profile.steamId}`) ?? playerOrder.get(`url:${profile.steamUrl}`) ?? Infinity;
+  combinedProfiles.sort((a, b) => orderOf(a) - orderOf(b));
+  const rosterKeys = new Set(
+    (players || []).flatMap((player) => [player.steamId, player.steamUrl]).filter(Boolean).map(String)
+  );
   const profilesWithIds = attachPlayerIds(combinedProfiles, players).map((profile) => {
     const candidateId = profile.steamId || profile.storedSteamId || null;
     const needsSteam64 =
@@ -557,16 +1880,43 @@ function buildResponseFromCache(cache, players) {
       needsSteam64,
     };
   });
-  const tabs = filterStatsToProfiles(cache.tabs || {}, combinedProfiles);
+  const tabs = prepareTabs(filterStatsToProfiles(cache.tabs || {}, combinedProfiles), combinedProfiles);
   return {
     serverName: cache.serverName || SERVER_NAME,
     metrics: tabs?.pvp?.metrics || [],
     stats: tabs?.pvp?.stats || {},
     profiles: profilesWithIds,
     tabs,
-    missing: cache.missing || [],
+    missing: (cache.missing || []).filter(
+      (item) => rosterKeys.has(String(item?.steamId)) || rosterKeys.has(String(item?.steamUrl))
+    ),
+    serverInfo: cache.serverInfo || null,
+    updatedAt: cache.updatedAt || null,
+    wipe: getServerWipeRange(cache.serverName || SERVER_NAME),
+  };
+}
+
+function buildArchivedResponse(cache, players) {
+  const rosterKeys = new Set(
+    (players || []).flatMap((player) => [player.steamId, player.steamUrl]).filter(Boolean).map(String)
+  );
+  const profiles = (cache.profiles || [])
+    .map(({ playerId, ...profile }) => profile)
+    .filter((profile) => rosterKeys.has(String(profile.steamId)) || rosterKeys.has(String(profile.steamUrl)));
+  const tabs = prepareTabs(filterStatsToProfiles(cache.tabs || {}, profiles), profiles);
+  return {
+    serverName: cache.serverName || SERVER_NAME,
+    metrics: tabs?.pvp?.metrics || [],
+    stats: tabs?.pvp?.stats || {},
+    profiles: attachPlayerIds(profiles, players),
+    tabs,
+    missing: (cache.missing || []).filter(
+      (item) => rosterKeys.has(String(item?.steamId)) || rosterKeys.has(String(item?.steamUrl))
+    ),
     serverInfo: cache.serverInfo || null,
     updatedAt: cache.updatedAt || null,
+    wipe: cache.wipe || null,
+    archived: true,
   };
 }
 
@@ -575,11 +1925,23 @@ function mergePlayerStats(cache, playerResult) {
   next.serverName = playerResult.serverName || cache?.serverName || SERVER_NAME;
   next.serverInfo = playerResult.serverInfo || cache?.serverInfo || null;
   next.updatedAt = Date.now();
-  next.missing = Array.isArray(cache?.missing) ? [...cache.missing] : [];
+  next.tabs = { ...(cache?.tabs || {}) };
   const newProfiles = playerResult.profiles || [];
+  const refreshedKeys = new Set(
+    newProfiles.flatMap((profile) => [profile.steamId, profile.steamUrl]).filter(Boolean).map(String)
+  );
+  const newMissing = playerResult.missing || [];
+  next.missing = [
+    ...(Array.isArray(cache?.missing) ? cache.missing : []).filter(
+      (item) => !refreshedKeys.has(String(item?.steamId)) && !refreshedKeys.has(String(item?.steamUrl))
+    ),
+    ...newMissing,
+  ];
+  const missingKeys = new Set(newMissing.map((item) => item?.key || getStatsKey(item)).filter(Boolean));
   const existingProfiles = cache?.profiles || [];
   const mergedProfiles = [...existingProfiles];
-  newProfiles.forEach((profile) => {
+  newProfiles.forEach((scraped) => {
+    const profile = { ...scraped, updatedAt: next.updatedAt };
     const matchIndex = mergedProfiles.findIndex(
       (p) =>
         (profile.steamId && p.steamId && String(profile.steamId) === String(p.steamId)) ||
@@ -595,6 +1957,7 @@ function mergePlayerStats(cache, playerResult) {
   Object.entries(playerResult.tabs || {}).forEach(([tabKey, tabData]) => {
     const existingTab = next.tabs[tabKey] || {};
     const mergedStats = { ...(existingTab.stats || {}) };
+    missingKeys.forEach((key) => delete mergedStats[key]);
     Object.entries(tabData?.stats || {}).forEach(([statKey, values]) => {
       mergedStats[statKey] = values;
     });
@@ -637,91 +2000,448 @@ function removePlayerFromCache(cache, player) {
   return next;
 }
 
+async function runPlayerRefresh(serverName, player, options = {}) {
+  const { onStatus = setRefreshStatus, signal } = options;
+  const result = await scrapePlayers([player], serverName, onStatus, { signal });
+  observeScrape('player', serverName, result);
+  rememberServers(result.serverInfo);
+  recordSnapshot(serverName, result, 'player');
+  const store = loadCacheStore();
+  const serverCache = mergePlayerStats(getServerCache(store, serverName), {
+    serverName,
+    profiles: result.profiles || [],
+    tabs: result.tabs || {},
+    missing: result.missing || [],
+    serverInfo: result.serverInfo || null,
+  });
+  setServerCache(store, serverName, serverCache);
+  return getServerCache(store, serverName);
+}
+
+async function runFullRefresh(serverName, players, options = {}) {
+  const { rosterId = null, strategy, source = 'manual', onStatus = setRefreshStatus, signal } = options;
+  const startedAt = Date.now();
+  console.log(
+    `[refresh] start server=${serverName} roster=${rosterId || DEFAULT_ROSTER_ID} players=${players.length} ` +
+      `strategy=${strategy || 'perTab'} source=${source}`
+  );
+  const result = await scrapePlayers(players, serverName, onStatus, { strategy, signal });
+  observeScrape('full', serverName, result);
+  rememberServers(result.serverInfo);
+  recordSnapshot(serverName, result, 'full');
+  const profiles = attachPlayerIds(result.profiles, players);
+  // The server cache is shared by every roster, so a roster refresh merges into it instead of replacing it.
+  const store = loadCacheStore();
+  const serverCache = mergePlayerStats(getServerCache(store, serverName), {
+    serverName,
+    profiles: result.profiles || [],
+    tabs: result.tabs || {},
+    missing: result.missing || [],
+    serverInfo: result.serverInfo || null,
+  });
+  setServerCache(store, serverName, serverCache);
+  if (result.timings) {
+    console.log(`[refresh timing] ${result.timings.strategy}: ${result.timings.durationMs}ms`);
+  }
+  console.log(`[refresh] done in ${Date.now() - startedAt}ms`);
+  const tabs = prepareTabs(result.tabs || {}, profiles);
+  return {
+    serverName,
+    metrics: tabs?.pvp?.metrics || [],
+    stats: tabs?.pvp?.stats || {},
+    profiles,
+    tabs,
+    missing: result.missing || [],
+    serverInfo: result.serverInfo || null,
+    timings: result.timings || null,
+    wipe: getServerWipeRange(serverName),
+    updatedAt: serverCache.updatedAt,
+  };
+}
+
 app.post('/api/refresh', async (req, res) => {
-  const players = await hydratePlayers(loadPlayers());
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const serverName = normalizeServerName(req.body?.serverName);
+  const players = playersForServer(await hydratePlayers(loadPlayers(roster.id), roster.id), serverName);
   if (players.length < MIN_COMPARE_PLAYERS) {
-    return res.status(400).json({ error: 'Add at least 2 players' });
+    return res.status(400).json({ error: `Add at least ${MIN_COMPARE_PLAYERS} players on ${serverName}` });
   }
+  let since = null;
   try {
-    const serverName = normalizeServerName(req.body?.serverName);
-    const strategy = req.body?.strategy;
-    if (refreshInFlight) {
-      return res.status(429).json({ error: 'Refresh already in progress' });
-    }
-    refreshInFlight = true;
-    setRefreshStatus('Starting refresh...');
-    const startedAt = Date.now();
-    console.log(`[refresh] start server=${serverName} players=${players.length} strategy=${strategy || 'perTab'}`);
-    const result = await scrapePlayers(players, serverName, setRefreshStatus, { strategy });
-    const profiles = attachPlayerIds(result.profiles, players);
-    const response = {
-      serverName,
-      metrics: result.tabs?.pvp?.metrics || [],
-      stats: result.tabs?.pvp?.stats || {},
-      profiles,
-      tabs: result.tabs || {},
-      missing: result.missing || [],
-      serverInfo: result.serverInfo || null,
-      timings: result.timings || null,
-    };
-    const store = loadCacheStore();
-    setServerCache(store, serverName, {
-      serverName,
-      profiles,
-      tabs: result.tabs || {},
-      missing: result.missing || [],
-      serverInfo: result.serverInfo || null,
-      updatedAt: Date.now(),
-    });
-    res.json(response);
-    const elapsed = Date.now() - startedAt;
-    if (result.timings) {
-      console.log(`[refresh timing] ${result.timings.strategy}: ${result.timings.durationMs}ms`);
-    }
-    console.log(`[refresh] done in ${elapsed}ms`);
-    setRefreshStatus('Refresh complete.');
+    since = parseSince(req.body?.since);
   } catch (err) {
-    console.error('[refresh] error', err?.stack || err);
-    setRefreshStatus(`Refresh error: ${err.message || 'Failed'}`);
-    res.status(500).json({ error: err.message || 'Failed to refresh' });
-  } finally {
-    refreshInFlight = false;
+    return res.status(400).json({ error: err.message });
+  }
+  // Resolved here so an omitted strategy and an explicit perTab share one queued job.
+  const strategy = req.body?.strategy === 'perPlayer' ? 'perPlayer' : 'perTab';
+  const { job, deduplicated } = refreshQueue.enqueue({
+    type: 'full',
+    serverName,
+    rosterId: roster.id,
+    requestedBy: getRequester(req),
+    params: { strategy },
+  });
+  if (req.body?.wait === false) {
+    return res.status(202).json({ ...refreshQueue.describe(job), deduplicated });
+  }
+  try {
+    const response = await refreshQueue.wait(job);
+    res.json({ ...addDeltas(response, { since }), jobId: job.id });
+  } catch (err) {
+    const status = job.state === 'cancelled' ? 409 : 500;
+    res.status(status).json({ error: err.message || 'Failed to refresh', jobId: job.id });
+  }
+});
+
+app.post('/api/refresh/cancel', (req, res) => {
+  const jobId = req.body?.jobId ? String(req.body.jobId) : null;
+  const serverName = req.body?.serverName ? normalizeServerName(req.body.serverName) : null;
+  let job = jobId ? refreshQueue.get(jobId) : null;
+  if (!jobId) {
+    const active = refreshQueue
+      .list()
+      .filter((item) => item.state === 'running' || item.state === 'queued')
+      .filter((item) => !serverName || item.serverName === serverName);
+    job = active.find((item) => item.state === 'running') || active[0] || null;
   }
+  if (!job || !refreshQueue.cancel(job.id)) {
+    return res.status(404).json({ error: 'No refresh to cancel' });
+  }
+  console.log(`[refresh] cancel requested job=${job.id} server=${job.serverName}`);
+  auditRequest(req, {
+    action: 'refresh.cancel',
+    serverName: job.serverName,
+    rosterId: job.rosterId,
+    steamIds: job.steamIds,
+    jobId: job.id,
+  });
+  res.json(refreshQueue.describe(job));
 });
 
 app.get('/api/data', async (req, res) => {
-  const players = await hydratePlayers(loadPlayers());
+  const roster = requireRoster(req, res);
+  if (!roster) return;
   const serverName = normalizeServerName(req.query?.serverName);
+  const players = playersForServer(await hydratePlayers(loadPlayers(roster.id), roster.id), serverName);
+  const wipeId = req.query?.wipe ? String(req.query.wipe) : null;
+  let since = null;
+  try {
+    since = parseSince(req.query?.since);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const send = (response) => res.json(addDeltas(response, { since, wipeId }));
   const store = loadCacheStore();
+  if (wipeId && wipeId !== getServerWipeRange(serverName).id) {
+    const archived = getArchivedCache(store, serverName, wipeId);
+    if (!archived) return res.status(404).json({ error: 'Wipe not found' });
+    return send(buildArchivedResponse(archived, players));
+  }
   const cache = getServerCache(store, serverName);
   const response = buildResponseFromCache(cache, players);
-  if (response) return res.json(response);
-  if (players.length >= MIN_COMPARE_PLAYERS) {
+  // Another roster may have populated this server's cache without any of these players in it.
+  const hasRosterStats = !!cache && mergeCachedProfiles(cache.profiles || [], players).length > 0;
+  if (response && (hasRosterStats || players.length < MIN_COMPARE_PLAYERS)) return send(response);
+  // Viewers only ever read the cache; scrapes on a miss are left to admins and the scheduler.
+  if (players.length >= MIN_COMPARE_PLAYERS && adminAuth.isAdmin(req)) {
+    console.log(`[data] cache miss, scraping server=${serverName} players=${players.length}`);
+    const { job } = refreshQueue.enqueue({
+      type: 'full',
+      serverName,
+      rosterId: roster.id,
+      source: 'cache-miss',
+      requestedBy: getRequester(req),
+    });
     try {
-      setRefreshStatus('Starting refresh...');
-      const startedAt = Date.now();
-      console.log(`[data] cache miss, scraping server=${serverName} players=${players.length}`);
-      const result = await scrapePlayers(players, serverName, setRefreshStatus);
-      const profiles = attachPlayerIds(result.profiles, players);
-      const nextCache = {
-        serverName,
-        profiles,
-        tabs: result.tabs || {},
-        missing: result.missing || [],
-        serverInfo: result.serverInfo || null,
-        updatedAt: Date.now(),
-      };
-      setServerCache(store, serverName, nextCache);
-      console.log(`[data] scrape done in ${Date.now() - startedAt}ms`);
-      return res.json(buildResponseFromCache(nextCache, players));
+      await refreshQueue.wait(job);
+      return send(buildResponseFromCache(getServerCache(loadCacheStore(), serverName), players));
     } catch (err) {
-      console.error('[data] refresh error', err?.stack || err);
+      if (job.state === 'cancelled') return res.json(buildFallbackResponse(serverName, players));
       return res.status(500).json({ error: err.message || 'Failed to refresh' });
     }
   }
   res.json(buildFallbackResponse(serverName, players));
 });
 
+// Cached stats for the request's roster, server and optional wipe; sends a 404 and returns null when there are none.
+async function loadCachedRosterStats(req, res, roster) {
+  const serverName = normalizeServerName(req.query?.serverName);
+  const wipeId = req.query?.wipe ? String(req.query.wipe) : null;
+  const players = playersForServer(await hydratePlayers(loadPlayers(roster.id), roster.id), serverName);
+  const store = loadCacheStore();
+  if (wipeId && wipeId !== getServerWipeRange(serverName).id) {
+    const archived = getArchivedCache(store, serverName, wipeId);
+    if (!archived) {
+      res.status(404).json({ error: 'Wipe not found' });
+      return null;
+    }
+    return buildArchivedResponse(archived, players);
+  }
+  const response = buildResponseFromCache(getServerCache(store, serverName), players);
+  if (!response) res.status(404).json({ error: `No stats cached for ${serverName}` });
+  return response;
+}
+
+app.get('/api/export', async (req, res) => {
+  const format = req.query?.format ? String(req.query.format) : 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const tab = req.query?.tab ? String(req.query.tab) : null;
+  const response = await loadCachedRosterStats(req, res, roster);
+  if (!response) return;
+  const serverName = response.serverName;
+  let exported = null;
+  try {
+    exported = buildStatsExport(response, { tab });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const slug = serverName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const day = new Date().toISOString().slice(0, 10);
+  res.type(EXPORT_TYPES[format]);
+  res.attachment(`moose-${slug}-${tab || 'all'}-${day}.${format}`);
+  res.send(serializeStatsExport(exported, format));
+});
+
+app.get('/api/leaderboard', async (req, res) => {
+  const roster = requireRoster(req, res);
+  if (!roster) return;
+  const response = await loadCachedRosterStats(req, res, roster);
+  if (!response) return;
+  try {
+    res.json(
+      buildLeaderboard(response, {
+        tab: req.query?.tab ? String(req.query.tab) : null,
+        metric: req.query?.metric ? String(req.query.metric) : null,
+        order: req.query?.order ? String(req.query.order) : 'desc',
+      })
+    );
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/history', (req, res) => {
+  const serverName = normalizeServerName(req.query?.serverName);
+  const tab = req.query?.tab ? String(req.query.tab) : null;
+  const steamIds = String(req.query?.steamId || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const since = req.query?.since != null ? Number(req.query.since) : null;
+  const until = req.query?.until != null ? Number(req.query.until) : null;
+  if ((since != null && !Number.isFinite(since)) || (until != null && !Number.isFinite(until))) {
+    return res.status(400).json({ error: 'since and until must be timestamps' });
+  }
+  const history = loadHistory();
+  const snapshots = history.servers[serverName] || [];
+  const series = buildHistorySeries(snapshots, { steamIds, tab, since, until });
+  res.json({
+    serverName,
+    tab,
+    snapshots: snapshots.length,
+    series: tab ? addDerivedToSeries(series, tab) : series,
+  });
+});
+
+app.get('/api/wipes', (req, res) => {
+  const serverName = normalizeServerName(req.query?.serverName);
+  const store = loadCacheStore();
+  const current = getServerWipeRange(serverName);
+  const cache = getServerCache(store, serverName);
+  const describe = (wipe, entry, isCurrent) => ({
+    id: wipe.id,
+    start: wipe.start,
+    end: wipe.end,
+    timezone: wipe.timezone || null,
+    current: isCurrent,
+    updatedAt: entry?.updatedAt || null,
+    players: (entry?.profiles || []).length,
+  });
+  const archived = Object.entries(store.archive?.[serverName] || {})
+    .map(([id, entry]) => describe({ ...getCacheWipe(serverName, entry), id }, entry, false))
+    .sort((a, b) => b.start - a.start);
+  res.json({
+    serverName,
+    current,
+    wipes: [describe(current, cache, true), ...archived],
+  });
+});
+
+app.get('/api/wipe-schedule', (req, res) => {
+  const schedules = loadWipeSchedules();
+  const names = req.query?.serverName
+    ? [normalizeServerName(req.query.serverName)]
+    : Array.from(new Set([...getAllowedServers(), ...Object.keys(schedules.servers)]));
+  const servers = {};
+  names.forEach((name) => {
+    const schedule = getWipeSchedule(name, schedules);
+    servers[name] = {
+      schedule,
+      current: getWipeRange(name, Date.now(), schedule),
+      upcoming: getUpcomingWipes(name, Date.now(), schedule),
+    };
+  });
+  res.json({ servers });
+});
+
+app.put('/api/wipe-schedule', (req, res) => {
+  const { serverName, ...input } = req.body || {};
+  if (!serverName) return res.status(400).json({ error: 'serverName required' });
+  const name = findAllowedServer(serverName);
+  if (!name) return res.status(400).json({ error: `serverName must be one of: ${getAllowedServers().join(', ')}` });
+  const schedules = loadWipeSchedules();
+  let schedule;
+  try {
+    schedule = normalizeSchedule({ ...getWipeSchedule(name, schedules), ...input }, name);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  schedules.servers[name] = schedule;
+  saveWipeSchedules(schedules);
+  res.json({
+    serverName: name,
+    schedule,
+    current: getWipeRange(name, Date.now(), schedule),
+    upcoming: getUpcomingWipes(name, Date.now(), schedule),
+  });
+});
+
+app.get('/api/schedule', (req, res) => {
+  res.json(describeSchedule());
+});
+
+app.put('/api/schedule', (req, res) => {
+  const current = loadScheduleFile();
+  let config;
+  try {
+    const input = { ...loadScheduleConfig(), ...(req.body || {}) };
+    if (req.body?.quietHours) input.quietHours = { ...loadScheduleConfig().quietHours, ...req.body.quietHours };
+    config = normalizeScheduleConfig(input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  saveScheduleFile({ ...current, config });
+  planScheduledRefresh();
+  res.json(describeSchedule());
+});
+
+app.get('/api/audit', (req, res) => {
+  let filters;
+  try {
+    filters = normalizeAuditFilters(req.query || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const result = auditLog.query(filters);
+  // Requester addresses are only shown to admins.
+  if (!adminAuth.isAdmin(req)) {
+    result.entries = result.entries.map((entry) => ({ ...entry, requester: { ...entry.requester, ip: null } }));
+  }
+  res.json(result);
+});
+
+app.get('/api/derived-metrics', (req, res) => {
+  res.json({ builtIn: BUILT_IN_METRICS, metrics: loadDerivedMetrics() });
+});
+
+app.put('/api/derived-metrics', (req, res) => {
+  let metrics;
+  try {
+    metrics = normalizeDerivedMetrics(req.body, { knownMetrics: getKnownMetrics() });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  saveDerivedMetrics(metrics);
+  auditRequest(req, { action: 'metrics.update', details: { names: metrics.map((metric) => metric.name) } });
+  broadcast('metrics', { metrics, at: Date.now() });
+  res.json({ builtIn: BUILT_IN_METRICS, metrics });
+});
+
+app.get('/api/webhooks', (req, res) => {
+  const reveal = adminAuth.isAdmin(req);
+  res.json({ webhooks: loadWebhooks().map((hook) => describeWebhook(hook, { reveal })) });
+});
+
+// Replaces the whole list; a webhook sent back without a secret keeps the one it already had.
+app.put('/api/webhooks', (req, res) => {
+  const current = new Map(loadWebhooks().map((hook) => [hook.id, hook]));
+  const keepSecret = (hook) =>
+    hook && hook.secret === undefined && current.has(hook.id) ? { ...hook, secret: current.get(hook.id).secret } : hook;
+  let webhooks;
+  try {
+    const list = Array.isArray(req.body) ? req.body : req.body?.webhooks;
+    webhooks = normalizeWebhooks(Array.isArray(list) ? list.map(keepSecret) : list);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  saveWebhooks(webhooks);
+  auditRequest(req, { action: 'webhooks.update', details: { count: webhooks.length } });
+  res.json({ webhooks: webhooks.map((hook) => describeWebhook(hook, { reveal: true })) });
+});
+
+app.get('/api/webhooks/deliveries', (req, res) => {
+  try {
+    const webhookId = req.query?.webhookId ? String(req.query.webhookId) : null;
+    res.json({ deliveries: webhookDispatcher.deliveries({ limit: req.query?.limit, webhookId }) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Sends right away and waits for the result (retries included) so a receiver can be checked from the API.
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  const hook = loadWebhooks().find((item) => item.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  const delivery = await webhookDispatcher.test(hook, {
+    message: req.body?.message ? String(req.body.message).slice(0, 500) : 'Webhook delivery works.',
+    serverName: hook.serverName,
+    rosterId: hook.rosterId,
+  });
+  res.status(delivery.outcome === 'ok' ? 200 : 502).json(delivery);
+});
+
+app.get('/api/jobs', (req, res) => {
+  const state = req.query?.state ? String(req.query.state) : null;
+  const jobs = refreshQueue
+    .list()
+    .filter((job) => !state || job.state === state)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map((job) => refreshQueue.describe(job));
+  res.json({ busy: refreshQueue.isBusy(), jobs });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = refreshQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(refreshQueue.describe(job, { includeResult: true }));
+});
+
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  eventClients.add(res);
+  writeEvent(res, 'status', lastRefreshStatus);
+  refreshQueue
+    .list()
+    .filter((job) => job.state === 'queued' || job.state === 'running')
+    .forEach((job) => writeEvent(res, 'job', refreshQueue.describe(job)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
+});
+
 app.get('/api/refresh-status', (req, res) => {
   res.json(lastRefreshStatus);
 });
@@ -742,7 +2462,8 @@ app.post('/api/resolve-steam', async (req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on 0.0.0.0:${PORT}`);
+app.listen(config.port, config.host, () => {
+  console.log(`Server running on ${config.host}:${config.port} (data: ${DATA_DIR})`);
+  recordCacheStatus(loadCacheStore());
+  planScheduledRefresh();
 });